@@ -4,15 +4,22 @@
 //bin/false || nvm use 18 --silent
 //bin/false || exec /usr/bin/env node --no-warnings --max-http-header-size 15000 "$0" "$@"
 
-import { dirname } from 'path';
+import { basename, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getSystemErrorName } from 'util';
+import { isIPv4, isIPv6 } from 'net';
 import fs from 'fs/promises';
+import { emitKeypressEvents } from 'readline';
+import { createInterface } from 'readline/promises';
+import { spawn } from 'child_process';
+import { createHash, randomInt } from 'crypto';
 
 import dotenv from 'dotenv';
 import OVH from 'ovh';
 import Table from 'cli-table3';
 import chalk from 'chalk';
-import { Command } from 'commander';
+import { Argument, Command, InvalidArgumentError, Option } from 'commander';
+import YAML from 'yaml';
 
 /**
  * Validate and sanitize a CLI argument (local part, email or id).
@@ -92,29 +99,113 @@ const truncateCell = (text, maxWidth) => {
 };
 
 /**
- * Format data for output in different formats (table, json, csv).
+ * Output formats of list commands.
+ */
+const outputFormats = ['table', 'json', 'yaml', 'ndjson', 'csv'];
+
+/**
+ * Resolve the output format: the --format option, then OVH_FORMAT,
+ * then table on a terminal and json when stdout is piped or redirected.
+ * @param {string} [format] - Format option
+ * @returns {string} - Output format
+ */
+const outputFormat = format => format || process.env.OVH_FORMAT || (process.stdout.isTTY ? 'table' : 'json');
+
+/**
+ * Normalize output options given either as a format name or as command options.
+ * @param {string|Object} options - Format, or { format, columns, header, wide, field }
+ * @returns {Object} - { format, columns, header, wide, field }
+ */
+const outputSettings = (options = {}) => {
+  const { format, columns, header = true, wide = false, field } = typeof options === 'string' ? { format: options } : options;
+  return {
+    format: outputFormat(format),
+    columns: typeof columns === 'string' ? columns.split(',').map(column => column.trim()).filter(Boolean) : columns,
+    header,
+    wide,
+    field,
+  };
+};
+
+/**
+ * Read a value at a dotted path, e.g. "renew.automatic" or "nameServers.0".
+ * @param {Object} item - Object to read
+ * @param {string} fieldPath - Dotted path
+ * @returns {any} - Value, undefined if the path does not exist
+ */
+const getField = (item, fieldPath) => fieldPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), item);
+
+/**
+ * Quote a CSV field as per RFC 4180; empty values stay empty.
+ * @param {any} value - Field value
+ * @returns {string} - CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Format data for output in any of the output formats.
+ * Tables show empty values as N/A and truncate long cells unless wide is set;
+ * the other formats keep values as they are.
  * @param {Array} data - Array of objects to format
- * @param {string} format - Output format: 'table' (default), 'json', or 'csv'
- * @param {Array} columns - Column names for table/csv (auto-detect if not provided)
+ * @param {string|Object} [options] - Format, or command options ({ format, columns, header, wide, field })
+ * @param {Array} [columns] - Default columns for table/csv (auto-detect if not provided)
+ * @param {Function} [renderTable] - Custom table renderer, called with (rows, columns, settings)
  * @returns {string} - Formatted output
+ * @throws {Error} - If a requested column does not exist
  */
-const formatOutput = (data, format = 'table', columns = null) => {
-  if (!data || data.length === 0) {
-    return format === 'json' ? '[]' : '';
+const formatOutput = (data, options = {}, columns = null, renderTable = null) => {
+  const settings = outputSettings(options);
+  const { format, header, field } = settings;
+  const rows = data || [];
+  if (!outputFormats.includes(format)) {
+    throw new Error(`Unknown output format "${format}" (expected: ${outputFormats.join(', ')}).`);
   }
 
-  if (format === 'json') {
-    return JSON.stringify(data, null, 2);
+  // --field: one value per row, for scripting
+  if (field) {
+    const values = rows.map(item => getField(item, field));
+    if (format === 'json') return JSON.stringify(values, null, 2);
+    if (format === 'yaml') return YAML.stringify(values).trimEnd();
+    if (format === 'ndjson') return values.map(value => JSON.stringify(value ?? null)).join('\n');
+    return values.map(value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : value ?? '')).join('\n');
   }
 
-  // Auto-detect columns from first object if not provided
-  const cols = columns || Object.keys(data[0]);
+  const available = [...new Set(rows.flatMap(item => Object.keys(item)))];
+  if (settings.columns && rows.length) {
+    const unknown = settings.columns.filter(column => !available.includes(column));
+    if (unknown.length) {
+      throw new Error(`Unknown column(s) ${unknown.join(', ')} (available: ${available.join(', ')}).`);
+    }
+  }
+  const cols = settings.columns || columns || available;
+  // Explicit columns also project structured formats
+  const projected = settings.columns
+    ? rows.map(item => Object.fromEntries(cols.map(column => [column, item[column]])))
+    : rows;
 
+  if (format === 'json') {
+    return JSON.stringify(projected, null, 2);
+  }
+  if (format === 'yaml') {
+    return YAML.stringify(projected).trimEnd();
+  }
+  if (format === 'ndjson') {
+    return projected.map(item => JSON.stringify(item)).join('\n');
+  }
   if (format === 'csv') {
-    const rows = data.map(item =>
-      cols.map(col => `"${item[col] || 'N/A'}"`)
-    );
-    return [cols.join(','), ...rows.map(r => r.join(','))].join('\n');
+    const lines = rows.map(item => cols.map(column => csvField(item[column])).join(','));
+    return (header ? [cols.map(csvField).join(','), ...lines] : lines).join('\r\n');
+  }
+  if (!rows.length) {
+    return '';
+  }
+  if (renderTable) {
+    return renderTable(rows, cols, settings);
   }
 
   // Default: table format with smart truncation
@@ -127,8 +218,8 @@ const formatOutput = (data, format = 'table', columns = null) => {
 
   for (const col of cols) {
     let maxLen = col.length;
-    for (const item of data) {
-      const val = String(item[col] || 'N/A');
+    for (const item of rows) {
+      const val = String(item[col] ?? 'N/A');
       maxLen = Math.max(maxLen, val.length);
     }
     estimatedColWidths[col] = maxLen;
@@ -136,57 +227,59 @@ const formatOutput = (data, format = 'table', columns = null) => {
   }
   estimatedWidth += cols.length + 1 + (cols.length * 2); // Borders + padding
 
-  if (estimatedWidth > terminalWidth) {
+  if (estimatedWidth > terminalWidth && !settings.wide) {
     needsTruncation = true;
   }
 
   // Prepare rows: truncate if necessary
-  const processedData = data.map(item => {
-    const row = {};
-    for (const col of cols) {
-      const val = item[col];
-      if (needsTruncation && estimatedColWidths[col] > 30) {
-        // Only truncate large columns
-        row[col] = truncateCell(val, Math.min(estimatedColWidths[col], 45));
-      } else {
-        row[col] = val || 'N/A';
-      }
-    }
-    return row;
-  });
+  const cell = (val) => {
+    if (val === null || val === undefined || val === '') return 'N/A';
+    return typeof val === 'object' ? JSON.stringify(val) : val;
+  };
+  const processedData = rows.map(item => cols.map(col => {
+    const val = cell(item[col]);
+    // Only truncate large columns
+    return needsTruncation && estimatedColWidths[col] > 30
+      ? truncateCell(val, Math.min(estimatedColWidths[col], 45))
+      : val;
+  }));
 
   const output = new Table({
-    head: cols.map(col => chalk.cyan(col)),
+    head: header ? cols.map(col => chalk.cyan(col)) : [],
   });
-
-  output.push(...processedData.map(item =>
-    cols.map(col => item[col] || 'N/A')
-  ));
+  output.push(...processedData);
 
   return output.toString();
 };
 
 /**
- * Format redirections with special styling (colors, alignment).
- * @param {Array} redirections - Array of redirection objects
- * @param {string} format - Output format: 'table' (default), 'json', or 'csv'
- * @returns {string} - Formatted output
+ * Print rows with the output options of a command.
+ * @param {Array} rows - Array of objects to print
+ * @param {string|Object} options - Format, or command options ({ format, columns, header, wide, field })
+ * @param {Object} [settings]
+ * @param {Array} [settings.columns] - Default columns for table/csv
+ * @param {string} [settings.empty] - Message printed instead of an empty table
+ * @param {Function} [settings.renderTable] - Custom table renderer (see formatOutput)
  */
-const formatRedirections = (redirections, format = 'table') => {
-  if (format === 'json') {
-    return JSON.stringify(redirections, null, 2);
+const printOutput = (rows, options, { columns, empty, renderTable } = {}) => {
+  if (!rows.length && empty && outputSettings(options).format === 'table') {
+    console.log(empty);
+    return;
   }
-  if (format === 'csv') {
-    const headers = ['id', 'from', 'to'];
-    const rows = redirections.map(({ id, from, to }) => [
-      `"${id}"`,
-      `"${from}"`,
-      `"${to}"`,
-    ]);
-    return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+  const output = formatOutput(rows, options, columns, renderTable);
+  if (output) {
+    console.log(output);
   }
-  // Default: table format with styling and smart truncation
-  const cols = ['id', 'from', 'to'];
+};
+
+/**
+ * Table renderer for redirections, with highlighted addresses.
+ * @param {Array} redirections - Array of redirection objects
+ * @param {Array} cols - Columns to show
+ * @param {Object} settings - Output settings ({ header, wide })
+ * @returns {string} - Formatted table
+ */
+const redirectionTable = (redirections, cols, { header, wide }) => {
   const terminalWidth = process.stdout.columns || 120;
 
   // Check if truncation is needed
@@ -204,23 +297,45 @@ const formatRedirections = (redirections, format = 'table') => {
   let estimatedWidth = Object.values(estimatedColWidths).reduce((a, b) => a + b, 0);
   estimatedWidth += cols.length + 1 + (cols.length * 2);
 
-  if (estimatedWidth > terminalWidth) {
+  if (estimatedWidth > terminalWidth && !wide) {
     needsTruncation = true;
   }
 
+  const cell = (redir, col) => {
+    const value = redir[col];
+    if (col === 'id') {
+      return { content: chalk.gray(needsTruncation && estimatedColWidths.id > 15 ? truncateCell(value, 12) : value), hAlign: 'left' };
+    }
+    if (col === 'from' || col === 'to') {
+      return { content: prettyMail(needsTruncation ? truncateCell(value, 30) : value, redir.domain), hAlign: 'right' };
+    }
+    const text = value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)
+      ? 'N/A'
+      : [].concat(value).join(', ');
+    return { content: needsTruncation ? truncateCell(text, 30) : text, hAlign: 'left' };
+  };
+
   const output = new Table({
-    head: cols.map(col => chalk.cyan(col)),
+    head: header ? cols.map(col => chalk.cyan(col)) : [],
   });
-
-  output.push(...redirections.map(({ id, from, to }) => [
-    { content: chalk.gray(needsTruncation && estimatedColWidths.id > 15 ? truncateCell(id, 12) : id), hAlign: 'left' },
-    { content: prettyMail(needsTruncation ? truncateCell(from, 30) : from), hAlign: 'right' },
-    { content: prettyMail(needsTruncation ? truncateCell(to, 30) : to), hAlign: 'right' },
-  ]));
+  output.push(...redirections.map(redir => cols.map(col => cell(redir, col))));
 
   return output.toString();
 };
 
+/**
+ * Format redirections with special styling (colors, alignment).
+ * @param {Array} redirections - Array of redirection objects
+ * @param {string|Object} [options] - Format, or command options ({ format, columns, header, wide, field })
+ * @returns {string} - Formatted output
+ */
+const formatRedirections = (redirections, options = {}) => {
+  // Redirections merged from several domains carry their domain
+  const cols = redirections.some(redir => redir.domain) ? ['domain', 'id', 'from', 'to'] : ['id', 'from', 'to'];
+  const metadataCols = ['bannedFrom', 'site', 'tags', 'note', 'createdAt', 'expiresIn'].filter(col => redirections.some(redir => col in redir));
+  return formatOutput(redirections, options, [...cols, ...metadataCols], redirectionTable);
+};
+
 /**
  * Sort redirections by column and direction.
  * @param {Array} redirections - Array of redirection objects
@@ -240,7 +355,8 @@ const sortRedirections = (redirections, sortBy = 'from', order = 'asc') => {
 };
 
 /**
- * Filter redirections by search string across all fields (id, from, to).
+ * Filter redirections by search string across all fields (id, from, to)
+ * and the alias metadata (note, tags, site).
  * @param {Array} redirections - Array of redirection objects
  * @param {string} searchStr - String to search for (case-insensitive)
  * @returns {Array} - Filtered redirections
@@ -248,30 +364,332 @@ const sortRedirections = (redirections, sortBy = 'from', order = 'asc') => {
 const filterRedirections = (redirections, searchStr) => {
   if (!searchStr) return redirections;
   const query = searchStr.toLowerCase();
-  return redirections.filter(({ id, from, to }) =>
-    id.toLowerCase().includes(query) ||
-    from.toLowerCase().includes(query) ||
-    to.toLowerCase().includes(query)
-  );
+  return redirections.filter(({ id, from, to }) => {
+    const { note = '', tags = [], site = '' } = aliasMetadata(from);
+    return [id, from, to, note, site, ...tags].some(value => String(value).toLowerCase().includes(query));
+  });
 };
 
 const basePath = dirname(fileURLToPath(import.meta.url));
-dotenv.config({ path: `${basePath}/.env.local` });
 
-const ovhRequest = (...args) => new Promise((res, err) => {
+/**
+ * Path of the env file holding a profile configuration.
+ * The default profile lives in .env.local, named profiles in .env.<name>.local.
+ * @param {string} profile - Profile name
+ * @returns {string} - Absolute path of the profile env file
+ */
+const profilePath = profile => (!profile || profile === 'default'
+  ? `${basePath}/.env.local`
+  : `${basePath}/.env.${profile}.local`);
+
+/**
+ * API hosts of the OVH endpoints, as accepted by the ovh client.
+ */
+const apiEndpoints = {
+  'ovh-eu': 'eu.api.ovh.com',
+  'ovh-ca': 'ca.api.ovh.com',
+  'ovh-us': 'api.us.ovhcloud.com',
+  'kimsufi-eu': 'eu.api.kimsufi.com',
+  'kimsufi-ca': 'ca.api.kimsufi.com',
+  'soyoustart-eu': 'eu.api.soyoustart.com',
+  'soyoustart-ca': 'ca.api.soyoustart.com',
+  // Local stand-in for the API, see mock-server.mjs
+  mock: 'localhost:3001',
+};
+
+const cachePath = process.env.OVH_CACHE || `${basePath}/cache.json`;
+const journalPath = process.env.OVH_JOURNAL || `${basePath}/journal.jsonl`;
+const schemaCachePath = process.env.OVH_SCHEMA_CACHE || `${basePath}/schemas.json`;
+const aliasesPath = process.env.OVH_ALIASES || `${basePath}/aliases.json`;
+
+let ovh;
+let domain;
+let activeProfile;
+let endpoint = 'ovh-eu';
+let dryRun = false;
+const dryRunCalls = [];
+
+/**
+ * Build a URL on the web host of the current endpoint (token creation pages...).
+ * @param {string} path - Path on the endpoint host
+ * @returns {string} - Absolute URL
+ */
+const endpointUrl = path => `https://${apiEndpoints[endpoint]}${path}`;
+
+/**
+ * Base URL of the API of the current endpoint; OVH_MOCK_URL for the mock endpoint.
+ * @returns {string} - URL, without trailing slash
+ */
+const apiBaseUrl = () => (endpoint === 'mock'
+  ? process.env.OVH_MOCK_URL || `http://${apiEndpoints.mock}/1.0`
+  : `https://${apiEndpoints[endpoint]}/1.0`);
+
+/**
+ * Copy a request body for display or journaling, hiding password fields.
+ * @param {Object} [body] - Request body
+ * @returns {Object|undefined} - Body copy with passwords redacted
+ */
+const redactBody = body => body && JSON.parse(JSON.stringify(body, (key, value) =>
+  (/password/i.test(key) ? '[REDACTED]' : value)));
+
+/**
+ * Client for the local mock API, with the same request() signature as the ovh client.
+ * The base URL comes from OVH_MOCK_URL (default: http://localhost:3001/1.0).
+ * Like the ovh client, failed calls report the HTTP status code as error.
+ * @returns {Object} - Client exposing request(method, path, [params], callback)
+ */
+const mockClient = () => ({
+  request: (method, path, ...rest) => {
+    const callback = rest.pop();
+    const [params] = rest;
+    const url = new URL(`${apiBaseUrl()}${path}`);
+    const options = {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Ovh-Application': process.env.APP_KEY,
+        ...(process.env.CONSUMER_KEY ? { 'X-Ovh-Consumer': process.env.CONSUMER_KEY } : {}),
+      },
+    };
+    if (params && Object.keys(params).length) {
+      if (method === 'PUT' || method === 'POST') {
+        options.body = JSON.stringify(params);
+      } else {
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+      }
+    }
+    fetch(url, options)
+      .then(async (response) => {
+        const text = await response.text();
+        const body = text ? JSON.parse(text) : null;
+        if (response.status !== 200) {
+          callback(response.status, body ? body.message : body);
+        } else {
+          callback(null, body);
+        }
+      })
+      // Like the ovh client, only pass the errno of network errors on
+      .catch(error => callback(error.cause?.errno || error));
+  },
+});
+
+/**
+ * Exit codes, by class of failure.
+ */
+const exitCodes = {
+  error: 1,
+  auth: 2,
+  forbidden: 3,
+  notFound: 4,
+  unavailable: 5,
+  clock: 6,
+};
+
+/**
+ * Failed API call, with a message explaining the cause and how to fix it when known.
+ */
+class OvhApiError extends Error {
+  /**
+   * @param {string} message - Human readable cause
+   * @param {Object} details
+   * @param {number} [details.status] - HTTP status, undefined for network errors
+   * @param {string} details.method - HTTP method
+   * @param {string} details.path - API path
+   * @param {string} [details.apiMessage] - Message returned by the API
+   * @param {string} [details.hint] - How to fix it
+   * @param {number} [details.exitCode] - Process exit code (see exitCodes)
+   */
+  constructor(message, { status, method, path, apiMessage, hint, exitCode = exitCodes.error }) {
+    super(message);
+    this.name = 'OvhApiError';
+    Object.assign(this, { status, method, path, apiMessage, hint, exitCode });
+  }
+}
+
+/**
+ * Turn a failure reported by the client into an OvhApiError.
+ * @param {Object} failure - { status, apiMessage } for HTTP errors, { network } otherwise
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @returns {OvhApiError} - Error with a clear message and exit code
+ */
+const toApiError = ({ status, apiMessage = '', network }, method, path) => {
+  const details = { status, method, path, apiMessage };
+  const profileFile = profilePath(activeProfile || 'default');
+  if (network) {
+    return new OvhApiError(`Cannot reach the ${endpoint} API (${network}).`, {
+      ...details,
+      hint: 'Check the network connection, or the endpoint selected with --endpoint.',
+      exitCode: exitCodes.unavailable,
+    });
+  }
+  if (/query out of time|timestamp/i.test(apiMessage)) {
+    return new OvhApiError(`The API rejected the request time: ${apiMessage}`, {
+      ...details,
+      hint: 'The system clock is off: synchronize it (e.g. enable NTP) and try again.',
+      exitCode: exitCodes.clock,
+    });
+  }
+  if (/invalid application key|invalid signature/i.test(apiMessage)) {
+    return new OvhApiError(`The application credentials were rejected: ${apiMessage}`, {
+      ...details,
+      hint: `Check APP_KEY and APP_SECRET in ${profileFile}, or create new ones at ${endpointUrl('/createApp/')}.`,
+      exitCode: exitCodes.auth,
+    });
+  }
+  if (/credential|consumer key/i.test(apiMessage) && [401, 403].includes(status)) {
+    return new OvhApiError(`The consumer key is invalid or expired: ${apiMessage}`, {
+      ...details,
+      hint: `Run "ovh auth login" to request a new one for ${profileFile}.`,
+      exitCode: exitCodes.auth,
+    });
+  }
+  if (/not been granted|not granted/i.test(apiMessage)) {
+    return new OvhApiError(`The consumer key is not allowed to call ${method} ${path}.`, {
+      ...details,
+      hint: `Run "ovh auth login --rule ${method}:${path.replace(/\/[^/]+$/, '/*')}" (or a wider --preset) to request this access rule.`,
+      exitCode: exitCodes.forbidden,
+    });
+  }
+  if (status === 404) {
+    return new OvhApiError(apiMessage || `${path} does not exist.`, {
+      ...details,
+      hint: 'Check the name or id; if it comes from the cache, sync it again with --refresh.',
+      exitCode: exitCodes.notFound,
+    });
+  }
+  if (status === 429 || status >= 500) {
+    return new OvhApiError(`The API is unavailable (HTTP ${status})${apiMessage ? `: ${apiMessage}` : '.'}`, {
+      ...details,
+      hint: 'Try again later.',
+      exitCode: exitCodes.unavailable,
+    });
+  }
+  return new OvhApiError(apiMessage || `HTTP ${status}`, details);
+};
+
+/**
+ * Print a command failure, with the fix of known API errors, and set a non-zero exit code.
+ * @param {string} context - What failed, e.g. "Failed to list domains"
+ * @param {Error|any} err - Error or rejection value
+ */
+const reportError = (context, err) => {
+  console.error(`${context}:`, err?.message || err);
+  if (err?.hint) {
+    console.error(chalk.gray(err.hint));
+  }
+  process.exitCode = err?.exitCode || exitCodes.error;
+};
+
+const idempotentMethods = ['GET', 'PUT', 'DELETE'];
+let verbose = false;
+let rateLimitedUntil = 0;
+
+/**
+ * Name a network error passed on by the client, which only keeps the (negative) errno.
+ * @param {number|Error|string} error - Errno, error or message
+ * @returns {string} - Error code such as ENOTFOUND or ECONNREFUSED, or the message
+ */
+const networkErrorCode = (error) => {
+  if (Number.isInteger(error) && error < 0) {
+    try {
+      const name = getSystemErrorName(error);
+      // Node reports unknown host names as ENOTFOUND
+      return ['EAI_NONAME', 'EAI_NODATA'].includes(name) ? 'ENOTFOUND' : name;
+    } catch {
+      return `errno ${error}`;
+    }
+  }
+  return error?.code || error?.message || String(error);
+};
+
+/**
+ * Send one call through the client.
+ * @returns {Promise<any>} - Response, or rejection with { status, apiMessage } or { network }
+ */
+const sendRequest = (method, path, params) => new Promise((res, err) => {
+  if (!ovh) {
+    ovh = endpoint === 'mock' ? mockClient() : OVH({
+      endpoint,
+      appKey: process.env.APP_KEY,
+      appSecret: process.env.APP_SECRET,
+      consumerKey: process.env.CONSUMER_KEY,
+    });
+  }
+  // The client fills the params object in, keep ours intact for retries
+  const args = params === undefined ? [method, path] : [method, path, structuredClone(params)];
   ovh.request(...args, (error, response) => {
-    if (error) { err(error); } else { res(response); }
+    if (!error) {
+      res(response);
+    } else if (Number.isInteger(error) && error >= 100) {
+      err({ status: error, apiMessage: typeof response === 'string' ? response : '' });
+    } else {
+      err({ network: networkErrorCode(error) });
+    }
   });
 });
 
-const ovh = OVH({
-  endpoint: 'ovh-eu',
-  appKey: process.env.APP_KEY,
-  appSecret: process.env.APP_SECRET,
-  consumerKey: process.env.CONSUMER_KEY,
-});
+/**
+ * Call the API. Idempotent calls are retried with exponential backoff on 5xx and network errors,
+ * any call on 429, and every call waits while the API asks to slow down.
+ * Retries and delays are set with OVH_RETRIES (default: 3) and OVH_RETRY_DELAY (ms, default: 500).
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} [params] - Body, or query parameters for GET
+ * @returns {Promise<any>} - Response
+ * @throws {OvhApiError} - Once retries are exhausted, or for non retryable errors
+ */
+const ovhRequest = async (method, path, params) => {
+  // In dry-run mode, only read-only calls reach the API
+  if (dryRun && method !== 'GET') {
+    dryRunCalls.push({ method, path, body: redactBody(params) });
+    console.log(chalk.yellow(`[dry-run] ${method} ${path}${params ? ` ${JSON.stringify(redactBody(params))}` : ''}`));
+    return null;
+  }
+  if (offline) {
+    throw new Error(`Offline: ${method} ${path} needs the API.`);
+  }
+  if (method !== 'GET') {
+    journal.calls.push({ method, path, body: redactBody(params) });
+  }
 
-const domain = process.env.DOMAIN;
+  const retries = Number(process.env.OVH_RETRIES ?? 3);
+  const baseDelay = Number(process.env.OVH_RETRY_DELAY ?? 500);
+  for (let attempt = 0; ; attempt += 1) {
+    if (rateLimitedUntil > Date.now()) {
+      await sleep(rateLimitedUntil - Date.now());
+    }
+    const start = Date.now();
+    try {
+      const response = await sendRequest(method, path, params);
+      if (verbose) {
+        console.error(chalk.gray(maskSecretsInLog(`${method} ${path} → 200 (${Date.now() - start} ms)`)));
+      }
+      return response;
+    } catch (failure) {
+      if (verbose) {
+        console.error(chalk.gray(maskSecretsInLog(`${method} ${path} → ${failure.status || failure.network} (${Date.now() - start} ms)`)));
+      }
+      const retryable = failure.status === 429
+        || (idempotentMethods.includes(method) && (failure.network || failure.status >= 500));
+      if (method === 'DELETE' && attempt > 0 && failure.status === 404) {
+        // Deleted by a previous attempt whose response was lost
+        return null;
+      }
+      if (!retryable || attempt >= retries) {
+        throw toApiError(failure, method, path);
+      }
+      const delay = Math.round(baseDelay * 2 ** attempt * (1 + Math.random() / 4));
+      if (failure.status === 429) {
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+      }
+      if (verbose) {
+        console.error(chalk.gray(`Retry ${attempt + 1}/${retries} in ${delay} ms`));
+      }
+      await sleep(delay);
+    }
+  }
+};
 
 const accessRules = [
   { 'method': 'GET', 'path': '/*'},
@@ -280,337 +698,3949 @@ const accessRules = [
   { 'method': 'DELETE', 'path': '/*'}
 ];
 
+/**
+ * Access rule presets for "auth login", from least to most privileged.
+ */
+const accessRulePresets = {
+  'read-only': [
+    { method: 'GET', path: '/*' },
+  ],
+  'email-redirections': [
+    { method: 'GET', path: '/me' },
+    { method: 'GET', path: '/email/domain' },
+    { method: 'GET', path: '/email/domain/*' },
+    { method: 'POST', path: '/email/domain/*/redirection' },
+    { method: 'POST', path: '/email/domain/*/redirection/*' },
+    { method: 'DELETE', path: '/email/domain/*/redirection/*' },
+  ],
+  'dns-editor': [
+    { method: 'GET', path: '/me' },
+    { method: 'GET', path: '/domain' },
+    { method: 'GET', path: '/domain/*' },
+    { method: 'POST', path: '/domain/zone/*/record' },
+    { method: 'PUT', path: '/domain/zone/*/record/*' },
+    { method: 'DELETE', path: '/domain/zone/*/record/*' },
+    { method: 'POST', path: '/domain/zone/*/refresh' },
+  ],
+  full: accessRules,
+};
+
 let cache = {};
 try {
-  const cacheContent = await fs.readFile(`${basePath}/cache.json`, 'utf-8');
+  const cacheContent = await fs.readFile(cachePath, 'utf-8');
   cache = JSON.parse(cacheContent);
 } catch (err) {
   if (err.code !== 'ENOENT') {
     console.error('Warning: Failed to read cache.json:', err.message);
   }
 }
-if (!cache[domain]) {
-  cache[domain] = {
-    redirections: [],
-  };
+
+// Caches written before endpoint partitioning are keyed by domain, all from ovh-eu
+for (const [key, value] of Object.entries(cache)) {
+  if (!apiEndpoints[key] && Array.isArray(value?.redirections)) {
+    cache['ovh-eu'] = { ...cache['ovh-eu'], [key]: value };
+    delete cache[key];
+  }
 }
 
-const getMe = () => ovhRequest('GET', '/me');
-// const summary = await ovhRequest('GET', `/email/domain/${domain}/summary`);
+/**
+ * Cache entries of every domain of the current endpoint.
+ * @returns {Object} - Domain cache entries, keyed by domain name
+ */
+const endpointCache = () => {
+  if (!cache[endpoint]) {
+    cache[endpoint] = {};
+  }
+  return cache[endpoint];
+};
 
-const redirByFrom = str => cache[domain].redirections.find(({ from }) => [str, `${str}@${domain}`].includes(from)) || {};
+/**
+ * Make sure the cache of the current endpoint has an entry for a domain.
+ * Resources are left undefined until fetched, so "never synced" differs from "empty".
+ * @param {string} name - Domain name
+ * @returns {Object} - The domain cache entry
+ */
+const domainCache = (name) => {
+  const domains = endpointCache();
+  if (!domains[name]) {
+    domains[name] = {};
+  }
+  return domains[name];
+};
 
 /**
- * Met à jour cache.json en ajoutant les nouvelles redirections,
- * et en en supprimant celles n'existant plus.
+ * Cached redirections of a domain as they are, without syncing.
+ * @param {string} [name] - Domain name (default: current domain)
+ * @returns {Array} - Redirections ({ id, from, to }), empty if never synced
  */
-const updateRedirections = async () => {
-  const allRedirIds = await ovhRequest('GET', `/email/domain/${domain}/redirection`);
-  const existingRedirIds = cache[domain].redirections.map(({ id }) => id);
+const domainRedirections = (name = domain) => domainCache(name).redirections || [];
 
-  const newRedirIds = allRedirIds.filter(rId => !existingRedirIds.includes(rId));
-  const newRedirections = [];
+/**
+ * Default time to live of each cached resource,
+ * overridable with CACHE_TTL_<RESOURCE> (e.g. CACHE_TTL_RECORDS=5m).
+ */
+const cacheTtl = {
+  redirections: '1h',
+  records: '15m',
+  details: '1d',
+  schema: '7d',
+};
 
-  for await (const redirectionId of newRedirIds) {
-    const details = await ovhRequest('GET', `/email/domain/${domain}/redirection/${redirectionId}`);
-    newRedirections.push(details);
+const startedAt = Date.now();
+let offline = false;
+let refresh = false;
+
+const saveCache = () => fs.writeFile(cachePath, JSON.stringify(cache, null, 2));
+
+// Alias metadata lives apart from the cache, so cache rebuilds keep it
+let aliases = {};
+try {
+  aliases = JSON.parse(await fs.readFile(aliasesPath, 'utf-8'));
+} catch (err) {
+  if (err.code !== 'ENOENT') {
+    console.error('Warning: Failed to read aliases.json:', err.message);
   }
+}
 
-  const deletedRedirIds = existingRedirIds.filter(id => !allRedirIds.includes(id));
+/**
+ * Metadata of the aliases of the current endpoint, keyed by redirection `from`.
+ * @returns {Object} - { [from]: { note, tags, createdAt, site } }
+ */
+const endpointAliases = () => {
+  if (!aliases[endpoint]) {
+    aliases[endpoint] = {};
+  }
+  return aliases[endpoint];
+};
 
-  cache[domain].redirections = [
-    ...cache[domain].redirections.filter(({ id }) => !deletedRedirIds.includes(id)),
-    ...newRedirections,
-  ].sort(({ from: a }, { from: b }) => a.localeCompare(b));
+/**
+ * Metadata of an alias.
+ * @param {string} from - Redirection source address
+ * @returns {Object} - { note, tags, createdAt, site }, empty if the alias has none
+ */
+const aliasMetadata = from => endpointAliases()[from] || {};
+
+/**
+ * Merge changes into the metadata of an alias and save it.
+ * Undefined values keep the current field, null and empty values remove it.
+ * @param {string} from - Redirection source address
+ * @param {Object} changes - Fields to set ({ note, tags, createdAt, site })
+ * @returns {Promise<Object>} - The new metadata
+ */
+const setAliasMetadata = async (from, changes) => {
+  const defined = Object.entries(changes).filter(([, value]) => value !== undefined);
+  const metadata = Object.fromEntries(Object.entries({ ...aliasMetadata(from), ...Object.fromEntries(defined) })
+    .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && !value.length)));
+  if (Object.keys(metadata).length) {
+    endpointAliases()[from] = metadata;
+  } else {
+    delete endpointAliases()[from];
+  }
+  await fs.writeFile(aliasesPath, JSON.stringify(aliases, null, 2));
+  return metadata;
+};
 
-  console.log(`${existingRedirIds.length} remote redirection(s)`);
-  console.log(`${newRedirections.length} new redirection(s)`);
-  console.log(`${deletedRedirIds.length} deleted redirection(s)`);
+/**
+ * Forget the metadata of aliases that no longer exist.
+ * @param {Array<string>} froms - Redirection source addresses
+ * @returns {Promise<void>}
+ */
+const dropAliasMetadata = async (froms) => {
+  const known = froms.filter(from => endpointAliases()[from]);
+  if (!known.length) return;
+  known.forEach((from) => { delete endpointAliases()[from]; });
+  await fs.writeFile(aliasesPath, JSON.stringify(aliases, null, 2));
+};
 
-  await fs.writeFile(`${basePath}/cache.json`, JSON.stringify(cache, null, 2));
+/**
+ * Stamp a cached resource as synced now.
+ * @param {Object} entry - Domain cache entry
+ * @param {string} resource - Resource name (redirections, records, details)
+ */
+const markSynced = (entry, resource) => {
+  entry.syncedAt = { ...entry.syncedAt, [resource]: new Date().toISOString() };
 };
 
-const prettyMail = str => {
-  if (str === `spam@${domain}`) {
-    return chalk.red(str);
+/**
+ * Tell whether a cached resource is younger than its time to live.
+ * With --refresh, only resources synced by the current invocation are fresh.
+ * @param {Object} entry - Domain cache entry
+ * @param {string} resource - Resource name (redirections, records, details)
+ * @returns {boolean} - True if the resource can be used without syncing
+ */
+const isFresh = (entry, resource) => {
+  const syncedAt = new Date(entry.syncedAt?.[resource] || 0).getTime();
+  if (refresh) {
+    return syncedAt >= startedAt;
   }
+  const ttl = parseDuration(process.env[`CACHE_TTL_${resource.toUpperCase()}`] || cacheTtl[resource]);
+  return Date.now() - syncedAt < ttl;
+};
 
-  const match = str.match(/(.*)@(.*)/);
-  if (!match) {
-    // Handle truncated or malformed email
-    return str;
+/**
+ * Read a cached resource, syncing it first when it is stale.
+ * With --offline, the cache is used as is.
+ * @param {Object} entry - Domain cache entry
+ * @param {string} resource - Resource name (redirections, records, details)
+ * @param {Function} sync - Fills entry[resource] from the API and marks it synced
+ * @returns {Promise<any>} - The cached resource
+ * @throws {Error} - With --offline, if the resource was never cached
+ */
+const cachedResource = async (entry, resource, sync) => {
+  if (offline) {
+    if (entry[resource] === undefined) {
+      throw new Error(`No cached ${resource} yet, run the command once without --offline.`);
+    }
+  } else if (!isFresh(entry, resource)) {
+    await sync();
   }
+  return entry[resource];
+};
 
-  const { 0: _full, 1: left, 2: right } = match;
-  return `${left}${chalk.gray(`@${right}`)}`;
+/**
+ * Map items through an async function with bounded concurrency,
+ * starting at most SYNC_RATE calls per second (default: 20).
+ * @param {Array} items - Items to map
+ * @param {Function} fn - Async mapper, called with (item, index)
+ * @param {number} [concurrency] - Calls in flight at most (default: SYNC_CONCURRENCY or 8)
+ * @returns {Promise<Array>} - Results, in the order of items
+ */
+const mapLimited = async (items, fn, concurrency = Number(process.env.SYNC_CONCURRENCY) || 8) => {
+  const interval = 1000 / (Number(process.env.SYNC_RATE) || 20);
+  const results = new Array(items.length);
+  let next = 0;
+  let nextStart = Date.now();
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      const wait = nextStart - Date.now();
+      nextStart = Math.max(nextStart, Date.now()) + interval;
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
 };
 
-const listRedirections = (redirections, format = 'table') => {
-  const output = formatRedirections(redirections, format);
-  console.log(output);
+/**
+ * Mutations of the current invocation, appended to the journal once the command is done.
+ */
+const journal = {
+  calls: [],
+  changes: [],
+  undoOf: undefined,
 };
 
-const deleteRedir = async (...ids) => {
-  if (ids && ids.length) {
-    for await (const id of ids) {
-      await ovhRequest('DELETE', `/email/domain/${domain}/redirection/${id}`);
-    }
+/**
+ * Record a change made by the current command, with the state needed to revert it.
+ * Nothing is recorded in dry-run mode.
+ * @param {Object} change - Change description
+ * @param {'redirection'|'record'} change.type - Resource type
+ * @param {'create'|'update'|'delete'} change.action - Performed action
+ * @param {string} [change.domain] - Email domain (redirections)
+ * @param {string} [change.zone] - DNS zone (records)
+ * @param {Object} [change.before] - Resource before the change
+ * @param {Object} [change.after] - Resource after the change
+ */
+const recordChange = (change) => {
+  if (!dryRun) {
+    journal.changes.push(change);
   }
 };
 
-const changeRedir = async (id, to) => {
-  if (id && to) {
-    const response = await ovhRequest(
-      'POST',
-      `/email/domain/${domain}/redirection/${id}/changeRedirection`,
-      { to },
-    );
-    console.log(response);
+/**
+ * Read every journal entry, oldest first.
+ * @returns {Promise<Array>} - Journal entries
+ */
+const readJournal = async () => {
+  try {
+    const content = await fs.readFile(journalPath, 'utf-8');
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
   }
 };
 
 /**
- * Retrieve DNS zone information.
- * @param {string} zoneName - The zone domain name
- * @returns {Promise<Object>} - Zone information (name, dnssecSupported, hasDnsAnycast, lastUpdate, nameServers)
- * @throws {Error} - If the API request fails
+ * Append the mutations of the current invocation to the journal, if any.
+ * @returns {Promise<void>}
  */
-const getDnsZone = async (zoneName) => {
-  const zoneInfo = await ovhRequest('GET', `/domain/zone/${zoneName}`);
-  return {
-    name: zoneInfo.name || zoneName,
-    dnssecSupported: zoneInfo.dnssecSupported || false,
-    hasDnsAnycast: zoneInfo.hasDnsAnycast || false,
-    lastUpdate: zoneInfo.lastUpdate || 'N/A',
-    nameServers: zoneInfo.nameServers ? zoneInfo.nameServers.join(', ') : 'N/A',
+const writeJournal = async () => {
+  if (!journal.calls.length) return;
+  const entries = await readJournal();
+  const entry = {
+    id: (entries.length ? entries[entries.length - 1].id : 0) + 1,
+    timestamp: new Date().toISOString(),
+    profile: activeProfile,
+    endpoint,
+    command: process.argv.slice(2).join(' '),
+    calls: journal.calls,
+    changes: journal.changes,
+    ...(journal.undoOf ? { undoOf: journal.undoOf } : {}),
   };
+  journal.calls = [];
+  journal.changes = [];
+  await fs.appendFile(journalPath, `${JSON.stringify(entry)}\n`);
 };
 
 /**
- * Retrieve DNS records for a zone with their details.
- * @param {string} zoneName - The zone domain name
- * @returns {Promise<Array>} - Array of record objects (id, subDomain, fieldType, target, ttl)
- * @throws {Error} - If the API request fails
+ * Load the selected profile into process.env and select the working endpoint and domain.
+ * The profile comes from --profile, then OVH_PROFILE, then "default".
+ * The endpoint comes from --endpoint, then OVH_ENDPOINT, then the ENDPOINT of the profile.
+ * The domain comes from --domain, then the DOMAIN of the profile.
+ * Variables already set in the environment take precedence over the profile file.
+ * @param {Object} options - Global options
+ * @param {string} [options.profile] - Profile name
+ * @param {string} [options.endpoint] - Endpoint overriding the profile one
+ * @param {string} [options.domain] - Domain overriding the profile one
+ * @param {boolean} [options.dryRun] - Print mutating API calls instead of sending them
+ * @param {boolean} [options.verbose] - Print every API call on stderr
+ * @param {boolean} [options.offline] - Only read from the cache
+ * @param {boolean} [options.refresh] - Sync cached resources even when fresh
+ * @throws {Error} - If a named profile does not exist, the endpoint is unknown or options conflict
  */
-const getDnsRecords = async (zoneName) => {
-  const recordIds = await ovhRequest('GET', `/domain/zone/${zoneName}/record`);
-  if (!recordIds || recordIds.length === 0) {
-    return [];
+const loadProfile = ({
+  profile, endpoint: endpointOption, domain: domainOption, dryRun: dryRunOption,
+  verbose: verboseOption, offline: offlineOption, refresh: refreshOption,
+}) => {
+  if (offlineOption && refreshOption) {
+    throw new Error('--offline and --refresh cannot be used together.');
+  }
+  dryRun = Boolean(dryRunOption);
+  verbose = Boolean(verboseOption);
+  offline = Boolean(offlineOption);
+  refresh = Boolean(refreshOption);
+  activeProfile = profile || process.env.OVH_PROFILE || 'default';
+  const { error } = dotenv.config({ path: profilePath(activeProfile) });
+  if (error && activeProfile !== 'default') {
+    throw new Error(`Unknown profile "${activeProfile}": ${profilePath(activeProfile)} not found.`);
+  }
+  endpoint = endpointOption || process.env.OVH_ENDPOINT || process.env.ENDPOINT || 'ovh-eu';
+  if (!apiEndpoints[endpoint]) {
+    throw new Error(`Unknown endpoint "${endpoint}". Available endpoints: ${Object.keys(apiEndpoints).join(', ')}.`);
+  }
+  domain = domainOption || process.env.DOMAIN;
+  if (domain) {
+    domainCache(domain);
   }
-  const recordDetails = await Promise.all(
-    recordIds.map(async (recordId) => {
-      try {
-        const record = await ovhRequest('GET', `/domain/zone/${zoneName}/record/${recordId}`);
-        return {
-          id: record.id || recordId,
-          subDomain: record.subDomain || '@',
-          fieldType: record.fieldType || 'N/A',
-          target: record.target || 'N/A',
-          ttl: record.ttl || 'N/A',
-        };
-      } catch {
-        return {
-          id: recordId,
-          subDomain: 'error',
-          fieldType: 'error',
-          target: 'error',
-          ttl: 'N/A',
-        };
-      }
-    })
-  );
-  return recordDetails;
 };
 
 /**
- * Format a contact identifier for display.
- * For numeric IDs, fetch name and format as "FirstName LastName (ID)".
- * For non-numeric handles, return as-is.
- * @param {string} contactId - Contact ID or account handle
- * @returns {Promise<string>} - Formatted contact string
+ * End a mutating command: in dry-run mode, summarize the calls that would have been made,
+ * otherwise run the follow-up (cache update, confirmation message...).
+ * @param {Function} [onApplied] - Follow-up run when changes were actually sent
+ * @returns {Promise<void>}
+ */
+const afterMutation = async (onApplied = () => updateRedirections()) => {
+  if (dryRun) {
+    console.log(chalk.yellow(`Dry run: ${dryRunCalls.length} call(s) would have been made, nothing was changed.`));
+    return;
+  }
+  await onApplied();
+};
+
+/**
+ * Ensure a working domain is selected, for commands acting on a single domain.
+ * @throws {Error} - If no domain is configured
+ */
+const requireDomain = () => {
+  if (!domain) {
+    throw new Error(`No domain selected: use --domain or set DOMAIN in ${profilePath(activeProfile)}.`);
+  }
+};
+
+const getMe = () => ovhRequest('GET', '/me');
+// const summary = await ovhRequest('GET', `/email/domain/${domain}/summary`);
+
+const redirByFrom = str => domainRedirections().find(({ from }) => [str, `${str}@${domain}`].includes(from)) || {};
+
+/**
+ * Met à jour cache.json en ajoutant les nouvelles redirections,
+ * et en en supprimant celles n'existant plus.
+ * @param {string} [targetDomain] - Domain to update (default: current domain)
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet] - Do not print the summary
+ * @param {boolean} [options.full] - Fetch every redirection again, not only new ones
+ */
+const updateRedirections = async (targetDomain = domain, { quiet = false, full = false } = {}) => {
+  const entry = domainCache(targetDomain);
+  const allRedirIds = await ovhRequest('GET', `/email/domain/${targetDomain}/redirection`);
+  const existingRedirIds = domainRedirections(targetDomain).map(({ id }) => id);
+
+  const newRedirIds = allRedirIds.filter(rId => !existingRedirIds.includes(rId));
+  const fetchedRedirections = await mapLimited(
+    full ? allRedirIds : newRedirIds,
+    redirectionId => ovhRequest('GET', `/email/domain/${targetDomain}/redirection/${redirectionId}`),
+  );
+
+  const deletedRedirIds = existingRedirIds.filter(id => !allRedirIds.includes(id));
+
+  entry.redirections = [
+    ...(full ? [] : domainRedirections(targetDomain).filter(({ id }) => !deletedRedirIds.includes(id))),
+    ...fetchedRedirections,
+  ].sort(({ from: a }, { from: b }) => a.localeCompare(b));
+  markSynced(entry, 'redirections');
+
+  if (!quiet) {
+    console.log(`${existingRedirIds.length} remote redirection(s)`);
+    console.log(`${newRedirIds.length} new redirection(s)`);
+    console.log(`${deletedRedirIds.length} deleted redirection(s)`);
+  }
+
+  await saveCache();
+};
+
+/**
+ * Cached redirections of a domain, synced first when stale.
+ * @param {string} [targetDomain] - Domain (default: current domain)
+ * @returns {Promise<Array>} - Redirections ({ id, from, to })
+ */
+const getRedirections = (targetDomain = domain) => cachedResource(
+  domainCache(targetDomain),
+  'redirections',
+  () => updateRedirections(targetDomain, { quiet: true, full: refresh }),
+);
+
+/**
+ * Address receiving banned aliases: SPAM_TO of the profile, {{domain}} being replaced
+ * by the domain of the alias (default: spam@{{domain}}).
+ * @param {string} [mailDomain] - Domain of the alias (default: current domain)
+ * @returns {string} - Spam sink address
+ */
+const spamAddress = (mailDomain = domain) => (process.env.SPAM_TO || 'spam@{{domain}}')
+  .replace(/\{\{domain\}\}/g, mailDomain);
+
+const prettyMail = (str, mailDomain = domain) => {
+  if (str === spamAddress(mailDomain)) {
+    return chalk.red(str);
+  }
+
+  const match = str.match(/(.*)@(.*)/);
+  if (!match) {
+    // Handle truncated or malformed email
+    return str;
+  }
+
+  const { 0: _full, 1: left, 2: right } = match;
+  return `${left}${chalk.gray(`@${right}`)}`;
+};
+
+const listRedirections = (redirections, options = {}) => {
+  const output = formatRedirections(redirections, options);
+  if (output) {
+    console.log(output);
+  }
+};
+
+const deleteRedir = async (...ids) => {
+  if (ids && ids.length) {
+    for await (const id of ids) {
+      const before = await ovhRequest('GET', `/email/domain/${domain}/redirection/${id}`);
+      await ovhRequest('DELETE', `/email/domain/${domain}/redirection/${id}`);
+      recordChange({ type: 'redirection', action: 'delete', domain, before });
+      // Keep the metadata while another redirection still uses the alias
+      const shared = domainRedirections()
+        .some(({ id: otherId, from }) => from === before.from && !ids.map(String).includes(String(otherId)));
+      if (!dryRun && !shared) {
+        await dropAliasMetadata([before.from]);
+      }
+    }
+  }
+};
+
+const changeRedir = async (id, to) => {
+  if (id && to) {
+    const before = await ovhRequest('GET', `/email/domain/${domain}/redirection/${id}`);
+    const response = await ovhRequest(
+      'POST',
+      `/email/domain/${domain}/redirection/${id}/changeRedirection`,
+      { to },
+    );
+    recordChange({ type: 'redirection', action: 'update', domain, before, after: { ...before, to } });
+    // Cache updates only fetch new ids, keep the changed one in sync
+    const cached = domainRedirections().find(redirection => String(redirection.id) === String(id));
+    if (cached && !dryRun) {
+      cached.to = to;
+    }
+    if (response) {
+      console.log(response);
+    }
+  }
+};
+
+/**
+ * Retrieve DNS zone information.
+ * @param {string} zoneName - The zone domain name
+ * @returns {Promise<Object>} - Zone information (name, dnssecSupported, hasDnsAnycast, lastUpdate, nameServers)
+ * @throws {Error} - If the API request fails
+ */
+const getDnsZone = async (zoneName) => {
+  const zoneInfo = await ovhRequest('GET', `/domain/zone/${zoneName}`);
+  return {
+    name: zoneInfo.name || zoneName,
+    dnssecSupported: zoneInfo.dnssecSupported || false,
+    hasDnsAnycast: zoneInfo.hasDnsAnycast || false,
+    lastUpdate: zoneInfo.lastUpdate || null,
+    nameServers: zoneInfo.nameServers ? zoneInfo.nameServers.join(', ') : null,
+  };
+};
+
+/**
+ * Retrieve DNS records for a zone with their details.
+ * @param {string} zoneName - The zone domain name
+ * @returns {Promise<Array>} - Array of record objects (id, subDomain, fieldType, target, ttl)
+ * @throws {Error} - If the API request fails
+ */
+const fetchDnsRecords = async (zoneName) => {
+  const recordIds = await ovhRequest('GET', `/domain/zone/${zoneName}/record`);
+  if (!recordIds || recordIds.length === 0) {
+    return [];
+  }
+  return mapLimited(recordIds, async (recordId) => {
+    try {
+      const record = await ovhRequest('GET', `/domain/zone/${zoneName}/record/${recordId}`);
+      return {
+        id: record.id || recordId,
+        subDomain: record.subDomain || '@',
+        fieldType: record.fieldType || null,
+        target: record.target || null,
+        ttl: record.ttl || null,
+      };
+    } catch {
+      return {
+        id: recordId,
+        subDomain: 'error',
+        fieldType: 'error',
+        target: 'error',
+        ttl: null,
+      };
+    }
+  });
+};
+
+/**
+ * DNS records of a zone, from the cache unless stale.
+ * Records that could not be read are shown as "error" rows but never cached,
+ * so the next call syncs again.
+ * @param {string} zoneName - The zone domain name
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Always sync, e.g. before changing records
+ * @returns {Promise<Array>} - Array of record objects (id, subDomain, fieldType, target, ttl)
+ * @throws {Error} - If the API request fails, or with fresh when a record could not be read
+ */
+const getDnsRecords = async (zoneName, { fresh = false } = {}) => {
+  const entry = domainCache(zoneName);
+  if (fresh && entry.syncedAt) {
+    delete entry.syncedAt.records;
+  }
+  let partial;
+  const records = await cachedResource(entry, 'records', async () => {
+    const fetched = await fetchDnsRecords(zoneName);
+    const failed = fetched.filter(({ fieldType }) => fieldType === 'error');
+    if (failed.length) {
+      // Changes must not be planned against an incomplete zone
+      if (fresh) {
+        throw new Error(`Cannot read ${failed.length} record(s) of zone ${zoneName}, try again.`);
+      }
+      partial = fetched;
+      return;
+    }
+    entry.records = fetched;
+    markSynced(entry, 'records');
+    await saveCache();
+  });
+  return partial || records;
+};
+
+/**
+ * Details of every domain of the account, from the cache unless stale.
+ * @returns {Promise<Array>} - Domains (name, status, ownerContact, expirationDate)
+ * @throws {Error} - If the API request fails, or with --offline when nothing is cached
+ */
+const getDomainDetails = async () => {
+  const entries = Object.values(endpointCache()).filter(({ details }) => details);
+  if (offline) {
+    if (!entries.length) {
+      throw new Error('No cached domains yet, run the command once without --offline.');
+    }
+    return entries.map(({ details }) => details);
+  }
+  if (entries.length && entries.every(entry => isFresh(entry, 'details'))) {
+    return entries.map(({ details }) => details);
+  }
+
+  const domains = await ovhRequest('GET', '/domain');
+  const details = await mapLimited(domains, async (domainName) => {
+    try {
+      const info = await ovhRequest('GET', `/domain/${domainName}`);
+      return {
+        name: domainName,
+        status: info.state || 'unknown',
+        ownerContact: info.ownerContact || null,
+        expirationDate: info.expirationDate || null,
+      };
+    } catch {
+      return {
+        name: domainName,
+        status: 'error',
+        ownerContact: null,
+        expirationDate: null,
+      };
+    }
+  });
+  entries.forEach((entry) => {
+    delete entry.details;
+    delete entry.syncedAt.details;
+  });
+  details.forEach((item) => {
+    const entry = domainCache(item.name);
+    entry.details = item;
+    markSynced(entry, 'details');
+  });
+  await saveCache();
+  return details;
+};
+
+const dnsRecordTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV', 'CAA'];
+
+const hostnamePattern = /^(?=.{1,253}\.?$)([a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)*\.?$/i;
+const subDomainPattern = /^(\*|[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)(\.[a-z0-9_]([a-z0-9_-]{0,61}[a-z0-9_])?)*$/i;
+
+/**
+ * Normalize a subdomain as expected by the API ('@' and '' both mean the zone apex).
+ * @param {string} subDomain - Subdomain as typed by the user or returned by getDnsRecords
+ * @returns {string} - Subdomain with the apex as an empty string
+ */
+const normalizeSubDomain = subDomain => (!subDomain || subDomain === '@' ? '' : subDomain.trim());
+
+/**
+ * Validate a 16-bit unsigned integer field (priority, weight, port).
+ * @param {string} value - Value to check
+ * @param {string} name - Field name used in the error message
+ * @returns {number} - The parsed value
+ * @throws {Error} - If the value is not an integer between 0 and 65535
+ */
+const validateUint16 = (value, name) => {
+  if (!/^\d+$/.test(value) || Number(value) > 65535) {
+    throw new Error(`Invalid ${name}: must be an integer between 0 and 65535.`);
+  }
+  return Number(value);
+};
+
+/**
+ * Validate and sanitize a DNS record before sending it to the API.
+ * Targets are checked according to the record type:
+ * A (IPv4), AAAA (IPv6), CNAME (hostname), MX ("priority host"),
+ * TXT (any non-empty text), SRV ("priority weight port host"), CAA ("flags tag value").
+ * @param {Object} record - Record to validate
+ * @param {string} record.fieldType - Record type
+ * @param {string} [record.subDomain] - Subdomain ('@' or empty for the zone apex)
+ * @param {string} record.target - Record target
+ * @param {string|number} [record.ttl] - TTL in seconds (0 for the zone default)
+ * @returns {Object} - The sanitized record (fieldType, subDomain, target, ttl)
+ * @throws {Error} - If any field is invalid
+ */
+const validateDnsRecord = ({ fieldType, subDomain, target, ttl }) => {
+  const type = String(fieldType || '').toUpperCase();
+  if (!dnsRecordTypes.includes(type)) {
+    throw new Error(`Unsupported record type "${fieldType}". Supported types: ${dnsRecordTypes.join(', ')}.`);
+  }
+
+  const sub = normalizeSubDomain(subDomain);
+  if (sub && !subDomainPattern.test(sub)) {
+    throw new Error(`Invalid subdomain "${subDomain}".`);
+  }
+
+  const value = typeof target === 'string' ? target.trim() : '';
+  if (!value) {
+    throw new Error('Invalid target: must not be empty.');
+  }
+
+  switch (type) {
+    case 'A':
+      if (!isIPv4(value)) {
+        throw new Error(`Invalid A target "${value}": must be an IPv4 address.`);
+      }
+      break;
+    case 'AAAA':
+      if (!isIPv6(value)) {
+        throw new Error(`Invalid AAAA target "${value}": must be an IPv6 address.`);
+      }
+      break;
+    case 'CNAME':
+      if (!sub) {
+        throw new Error('Invalid CNAME: a CNAME record cannot be created on the zone apex.');
+      }
+      if (!hostnamePattern.test(value)) {
+        throw new Error(`Invalid CNAME target "${value}": must be a hostname.`);
+      }
+      break;
+    case 'MX': {
+      const [priority, host, ...rest] = value.split(/\s+/);
+      if (!host || rest.length) {
+        throw new Error(`Invalid MX target "${value}": expected "<priority> <host>".`);
+      }
+      validateUint16(priority, 'MX priority');
+      if (!hostnamePattern.test(host)) {
+        throw new Error(`Invalid MX host "${host}".`);
+      }
+      break;
+    }
+    case 'SRV': {
+      const [priority, weight, port, host, ...rest] = value.split(/\s+/);
+      if (!host || rest.length) {
+        throw new Error(`Invalid SRV target "${value}": expected "<priority> <weight> <port> <host>".`);
+      }
+      validateUint16(priority, 'SRV priority');
+      validateUint16(weight, 'SRV weight');
+      validateUint16(port, 'SRV port');
+      if (host !== '.' && !hostnamePattern.test(host)) {
+        throw new Error(`Invalid SRV host "${host}".`);
+      }
+      break;
+    }
+    case 'CAA': {
+      const match = value.match(/^(\d+)\s+([a-z0-9]+)\s+(.+)$/i);
+      if (!match) {
+        throw new Error(`Invalid CAA target "${value}": expected "<flags> <tag> <value>".`);
+      }
+      const { 1: flags, 2: tag } = match;
+      if (Number(flags) > 255) {
+        throw new Error('Invalid CAA flags: must be an integer between 0 and 255.');
+      }
+      if (!['issue', 'issuewild', 'iodef'].includes(tag.toLowerCase())) {
+        throw new Error(`Invalid CAA tag "${tag}": must be issue, issuewild or iodef.`);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  let sanitizedTtl;
+  if (ttl !== undefined && ttl !== null && ttl !== '') {
+    if (!/^\d+$/.test(String(ttl))) {
+      throw new Error('Invalid TTL: must be a positive integer (0 for the zone default).');
+    }
+    sanitizedTtl = Number(ttl);
+  }
+
+  return {
+    fieldType: type,
+    subDomain: sub,
+    target: value,
+    ttl: sanitizedTtl,
+  };
+};
+
+/**
+ * Find DNS records matching every given criterion.
+ * @param {Array} records - Records as returned by getDnsRecords
+ * @param {Object} criteria - Criteria to match (all optional)
+ * @param {string} [criteria.subDomain] - Subdomain ('@' for the zone apex)
+ * @param {string} [criteria.fieldType] - Record type (case-insensitive)
+ * @param {string} [criteria.target] - Exact record target
+ * @returns {Array} - Matching records
+ */
+const findDnsRecords = (records, { subDomain, fieldType, target } = {}) => records.filter(record =>
+  (subDomain === undefined || normalizeSubDomain(record.subDomain) === normalizeSubDomain(subDomain)) &&
+  (fieldType === undefined || record.fieldType.toUpperCase() === fieldType.toUpperCase()) &&
+  (target === undefined || record.target === target)
+);
+
+/**
+ * Create a DNS record. The zone must be refreshed afterwards to publish it.
+ * @param {string} zoneName - The zone domain name
+ * @param {Object} record - Sanitized record (see validateDnsRecord)
+ * @returns {Promise<Object>} - The created record
+ */
+const createDnsRecord = async (zoneName, { fieldType, subDomain, target, ttl }) => {
+  const created = await ovhRequest(
+    'POST',
+    `/domain/zone/${zoneName}/record`,
+    { fieldType, subDomain, target, ttl },
+  );
+  recordChange({ type: 'record', action: 'create', zone: zoneName, after: created });
+  return created;
+};
+
+/**
+ * Update a DNS record. The zone must be refreshed afterwards to publish it.
+ * @param {string} zoneName - The zone domain name
+ * @param {string|number} recordId - The record id
+ * @param {Object} changes - Fields to change (subDomain, target, ttl)
+ * @returns {Promise<null>}
+ */
+const updateDnsRecord = async (zoneName, recordId, changes) => {
+  const before = await ovhRequest('GET', `/domain/zone/${zoneName}/record/${recordId}`);
+  const response = await ovhRequest(
+    'PUT',
+    `/domain/zone/${zoneName}/record/${recordId}`,
+    { ...changes },
+  );
+  const applied = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+  recordChange({ type: 'record', action: 'update', zone: zoneName, before, after: { ...before, ...applied } });
+  return response;
+};
+
+/**
+ * Delete a DNS record. The zone must be refreshed afterwards to publish it.
+ * @param {string} zoneName - The zone domain name
+ * @param {string|number} recordId - The record id
+ * @returns {Promise<null>}
+ */
+const deleteDnsRecord = async (zoneName, recordId) => {
+  const before = await ovhRequest('GET', `/domain/zone/${zoneName}/record/${recordId}`);
+  const response = await ovhRequest(
+    'DELETE',
+    `/domain/zone/${zoneName}/record/${recordId}`,
+  );
+  recordChange({ type: 'record', action: 'delete', zone: zoneName, before });
+  return response;
+};
+
+/**
+ * Apply pending record changes of a zone, and mark its cached records stale.
+ * @param {string} zoneName - The zone domain name
+ * @returns {Promise<void>}
+ */
+const refreshDnsZone = async (zoneName) => {
+  await ovhRequest('POST', `/domain/zone/${zoneName}/refresh`);
+  const entry = domainCache(zoneName);
+  if (entry.syncedAt?.records) {
+    delete entry.syncedAt.records;
+    await saveCache();
+  }
+};
+
+/**
+ * Refresh a zone once a batch of record changes is over, even when a change failed
+ * halfway: the changes already made must be published.
+ * @param {string} zoneName - The zone domain name
+ * @param {number} changed - Number of changes made
+ * @returns {Promise<void>}
+ */
+const publishZoneChanges = async (zoneName, changed) => {
+  if (!changed) return;
+  try {
+    await refreshDnsZone(zoneName);
+    await afterMutation(() => console.log(`Zone ${zoneName} refreshed.`));
+  } catch (err) {
+    reportError(`Failed to refresh zone ${zoneName}`, err);
+  }
+};
+
+/**
+ * Resolve the records targeted by a zone:update or zone:delete invocation,
+ * either from explicit ids or from subDomain/type/target criteria.
+ * @param {string} zoneName - The zone domain name
+ * @param {Array<string>} ids - Explicit record ids (may be empty)
+ * @param {Object} criteria - Lookup criteria (see findDnsRecords)
+ * @returns {Promise<Array>} - Matching records
+ * @throws {Error} - If neither ids nor criteria are given, or an id is unknown
+ */
+const resolveDnsRecords = async (zoneName, ids, criteria) => {
+  const hasCriteria = Object.values(criteria).some(value => value !== undefined);
+  if (!ids.length && !hasCriteria) {
+    throw new Error('Specify record ids or selection criteria (subdomain, type or target).');
+  }
+  const records = await getDnsRecords(zoneName, { fresh: true });
+  if (ids.length) {
+    return ids.map(id => {
+      const sanitized = validateCliArg(id, 'id');
+      const record = records.find(({ id: recordId }) => String(recordId) === sanitized);
+      if (!record) {
+        throw new Error(`No record with id ${sanitized} in zone ${zoneName}.`);
+      }
+      return record;
+    }).filter(record => findDnsRecords([record], criteria).length);
+  }
+  return findDnsRecords(records, criteria);
+};
+
+/**
+ * Strip the surrounding quotes of a TXT target and join multiple character strings.
+ * @param {string} target - TXT target, quoted or not
+ * @returns {string} - The unquoted text
+ */
+const unquoteTxt = (target) => {
+  const strings = target.match(/"((?:[^"\\]|\\.)*)"/g);
+  if (!strings) return target;
+  return strings.map(str => str.slice(1, -1).replace(/\\(.)/g, '$1')).join('');
+};
+
+/**
+ * Quote a TXT value for a zone file, splitting it into 255 characters strings.
+ * @param {string} target - TXT target, quoted or not
+ * @returns {string} - The quoted character string(s)
+ */
+const quoteTxt = (target) => {
+  const text = unquoteTxt(target);
+  const chunks = text.match(/[\s\S]{1,255}/g) || [''];
+  return chunks.map(chunk => `"${chunk.replace(/(["\\])/g, '\\$1')}"`).join(' ');
+};
+
+/**
+ * Serialize DNS records as a BIND zone file.
+ * Records using the zone default TTL are written without an explicit TTL.
+ * @param {string} zoneName - The zone domain name
+ * @param {Array} records - Records as returned by getDnsRecords
+ * @returns {string} - Zone file content
+ */
+const toBindZone = (zoneName, records) => {
+  const sorted = [...records].sort((a, b) =>
+    normalizeSubDomain(a.subDomain).localeCompare(normalizeSubDomain(b.subDomain)) ||
+    a.fieldType.localeCompare(b.fieldType) ||
+    String(a.target).localeCompare(String(b.target))
+  );
+  const ownerWidth = Math.max(1, ...sorted.map(({ subDomain }) => (subDomain || '@').length));
+  const lines = sorted.map(({ subDomain, fieldType, target, ttl }) => [
+    (subDomain || '@').padEnd(ownerWidth),
+    Number.isInteger(ttl) && ttl > 0 ? String(ttl).padStart(6) : ''.padStart(6),
+    'IN',
+    fieldType.padEnd(5),
+    fieldType === 'TXT' ? quoteTxt(target) : target,
+  ].join(' ').trimEnd());
+  return [
+    `; Zone ${zoneName}, exported ${new Date().toISOString()}`,
+    '; Records without TTL use the zone default TTL.',
+    `$ORIGIN ${zoneName}.`,
+    '',
+    ...lines,
+    '',
+  ].join('\n');
+};
+
+/**
+ * Split a zone file line into fields, keeping quoted strings together and dropping comments.
+ * @param {string} line - Zone file line
+ * @returns {Array<string>} - Fields
+ */
+const tokenizeZoneLine = (line) => {
+  const tokens = [];
+  const pattern = /"(?:[^"\\]|\\.)*"|;.*$|[^\s"]+/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    if (match[0].startsWith(';')) break;
+    tokens.push(match[0]);
+  }
+  return tokens;
+};
+
+/**
+ * Parse a BIND TTL, either in seconds or with time units (e.g. "3600", "1h", "1h30m", "1w").
+ * @param {string} value - TTL as written in the zone file
+ * @returns {number|undefined} - TTL in seconds, undefined if the value is not a TTL
+ */
+const parseBindTtl = (value) => {
+  if (!/^(\d+[smhdw]?)+$/i.test(value)) return undefined;
+  if (/^\d+$/.test(value)) return Number(value);
+  const units = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+  return [...value.matchAll(/(\d+)([smhdw]?)/gi)]
+    .reduce((total, [, amount, unit]) => total + Number(amount) * units[(unit || 's').toLowerCase()], 0);
+};
+
+/**
+ * Parse a BIND zone file into records comparable with getDnsRecords output.
+ * Supports $ORIGIN, $TTL, relative and absolute owners, "@", blank owners
+ * and multi-line records in parentheses. SOA records are ignored.
+ * $TTL is the zone default: records without an explicit TTL keep ttl 0,
+ * like OVH records using the zone default.
+ * @param {string} zoneName - The zone domain name
+ * @param {string} content - Zone file content
+ * @returns {Array} - Records (subDomain, fieldType, target, ttl, line)
+ * @throws {Error} - If a line cannot be parsed
+ */
+const parseBindZone = (zoneName, content) => {
+  const zone = `${zoneName.replace(/\.$/, '')}.`;
+  let origin = zone;
+  let previousOwner = '';
+  const records = [];
+
+  // Join parenthesized multi-line records before tokenizing
+  const logicalLines = [];
+  let pending = null;
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/;(?=(?:[^"]*"[^"]*")*[^"]*$).*$/, '');
+    if (pending) {
+      pending.text += ` ${line}`;
+    } else {
+      pending = { text: line, line: index + 1 };
+    }
+    const opened = (pending.text.match(/\(/g) || []).length;
+    const closed = (pending.text.match(/\)/g) || []).length;
+    if (opened <= closed) {
+      logicalLines.push(pending);
+      pending = null;
+    }
+  });
+  if (pending) {
+    throw new Error(`Line ${pending.line}: unbalanced parentheses.`);
+  }
+
+  const toSubDomain = (owner) => {
+    if (owner === '@') return normalizeSubDomain(origin === zone ? '' : origin.slice(0, -zone.length - 1));
+    const fqdn = owner.endsWith('.') ? owner : `${owner}.${origin}`;
+    if (fqdn.toLowerCase() === zone.toLowerCase()) return '';
+    if (!fqdn.toLowerCase().endsWith(`.${zone.toLowerCase()}`)) {
+      throw new Error(`owner "${owner}" is outside of zone ${zoneName}.`);
+    }
+    return fqdn.slice(0, -zone.length - 1);
+  };
+
+  for (const { text, line } of logicalLines) {
+    try {
+      if (!text.trim()) continue;
+      const tokens = tokenizeZoneLine(text.replace(/[()]/g, ' '));
+      if (!tokens.length) continue;
+
+      if (tokens[0] === '$ORIGIN') {
+        origin = tokens[1].endsWith('.') ? tokens[1] : `${tokens[1]}.${origin}`;
+        continue;
+      }
+      if (tokens[0] === '$TTL') {
+        if (parseBindTtl(tokens[1] || '') === undefined) {
+          throw new Error(`invalid $TTL "${tokens[1] || ''}".`);
+        }
+        continue;
+      }
+      if (tokens[0].startsWith('$')) {
+        throw new Error(`unsupported directive ${tokens[0]}.`);
+      }
+
+      let owner = previousOwner;
+      if (!/^\s/.test(text)) {
+        owner = toSubDomain(tokens.shift());
+        previousOwner = owner;
+      }
+
+      let ttl;
+      let fieldType;
+      while (tokens.length && !fieldType) {
+        const token = tokens.shift();
+        if (parseBindTtl(token) !== undefined) {
+          ttl = parseBindTtl(token);
+        } else if (['IN', 'CH', 'HS'].includes(token.toUpperCase())) {
+          // Class is always IN for OVH zones
+        } else {
+          fieldType = token.toUpperCase();
+        }
+      }
+      if (!fieldType || !tokens.length) {
+        throw new Error('expected "<owner> [ttl] [class] <type> <data>".');
+      }
+      if (fieldType === 'SOA') continue;
+
+      records.push({
+        subDomain: owner,
+        fieldType,
+        target: fieldType === 'TXT' ? unquoteTxt(tokens.join(' ')) : tokens.join(' '),
+        ttl: ttl || 0,
+        line,
+      });
+    } catch (err) {
+      throw new Error(`Line ${line}: ${err.message}`);
+    }
+  }
+  return records;
+};
+
+/**
+ * Compute the changes needed to turn the live zone records into the desired ones.
+ * Records are grouped by subdomain and type; identical targets are kept,
+ * remaining targets are paired as updates, then created or deleted.
+ * Only the record types supported by validateDnsRecord are managed.
+ * @param {Array} liveRecords - Records as returned by getDnsRecords
+ * @param {Array} desiredRecords - Records as returned by parseBindZone
+ * @returns {Object} - Plan ({ creates, updates, deletes, ignored })
+ */
+const planZoneChanges = (liveRecords, desiredRecords) => {
+  const comparable = ({ fieldType, target }) => (fieldType === 'TXT' ? unquoteTxt(target) : target);
+  const liveTtl = ttl => (Number.isInteger(ttl) ? ttl : 0);
+  const groupKey = ({ subDomain, fieldType }) => `${normalizeSubDomain(subDomain)}\u0000${fieldType}`;
+  const groups = new Map();
+  const ignored = [];
+
+  for (const record of desiredRecords) {
+    if (!dnsRecordTypes.includes(record.fieldType)) {
+      ignored.push(record);
+      continue;
+    }
+    const key = groupKey(record);
+    if (!groups.has(key)) groups.set(key, { live: [], desired: [] });
+    groups.get(key).desired.push(record);
+  }
+  for (const record of liveRecords) {
+    if (!dnsRecordTypes.includes(record.fieldType)) continue;
+    const key = groupKey(record);
+    if (!groups.has(key)) groups.set(key, { live: [], desired: [] });
+    groups.get(key).live.push(record);
+  }
+
+  const creates = [];
+  const updates = [];
+  const deletes = [];
+
+  for (const { live, desired } of groups.values()) {
+    const remainingLive = [...live];
+    const remainingDesired = [];
+    for (const record of desired) {
+      const index = remainingLive.findIndex(candidate => comparable(candidate) === comparable(record));
+      if (index === -1) {
+        remainingDesired.push(record);
+        continue;
+      }
+      const [current] = remainingLive.splice(index, 1);
+      if (liveTtl(current.ttl) !== record.ttl) {
+        updates.push({ before: current, after: record });
+      }
+    }
+    while (remainingDesired.length && remainingLive.length) {
+      updates.push({ before: remainingLive.shift(), after: remainingDesired.shift() });
+    }
+    creates.push(...remainingDesired);
+    deletes.push(...remainingLive);
+  }
+
+  return { creates, updates, deletes, ignored };
+};
+
+/**
+ * Render a zone plan with colours: additions in green, changes in yellow, deletions in red.
+ * @param {Object} plan - Plan as returned by planZoneChanges
+ * @returns {string} - Human readable plan
+ */
+const formatZonePlan = ({ creates, updates, deletes, ignored }) => {
+  const describe = ({ subDomain, fieldType, target, ttl }) =>
+    `${normalizeSubDomain(subDomain) || '@'} ${Number.isInteger(ttl) && ttl > 0 ? `${ttl} ` : ''}${fieldType} ${target}`;
+  const lines = [
+    ...creates.map(record => chalk.green(`+ ${describe(record)}`)),
+    ...updates.map(({ before, after }) => chalk.yellow(`~ ${describe(before)}  →  ${describe(after)}`)),
+    ...deletes.map(record => chalk.red(`- ${describe(record)}`)),
+    ...ignored.map(record => chalk.gray(`  ignored (unsupported type): ${describe(record)}`)),
+  ];
+  lines.push('', `Plan: ${creates.length} to create, ${updates.length} to update, ${deletes.length} to delete.`);
+  return lines.join('\n');
+};
+
+/**
+ * Ask the user for a yes/no confirmation on the terminal.
+ * Resolves to false without asking when stdin is not interactive.
+ * @param {string} question - Question to display
+ * @returns {Promise<boolean>} - True if the user answered yes
+ */
+const confirm = async (question) => {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+};
+
+/**
+ * Read a secret from the terminal without echoing it.
+ * When stdin is not interactive, the first line of stdin is used instead.
+ * @param {string} question - Prompt to display
+ * @returns {Promise<string>} - The typed secret
+ */
+const promptSecret = async (question) => {
+  const { stdin } = process;
+  if (!stdin.isTTY) {
+    let data = '';
+    for await (const chunk of stdin) {
+      data += chunk;
+    }
+    return data.split(/\r?\n/)[0];
+  }
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const done = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      process.stdout.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          done();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          done();
+          reject(new Error('Aborted.'));
+          return;
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+    process.stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+};
+
+/**
+ * Ask for a new password, twice on a terminal, and check the MX Plan password rules.
+ * @returns {Promise<string>} - The new password
+ * @throws {Error} - If the password is invalid or both entries differ
+ */
+const promptNewPassword = async () => {
+  const password = await promptSecret('New password: ');
+  if (process.stdin.isTTY && password !== await promptSecret('Confirm password: ')) {
+    throw new Error('Passwords do not match.');
+  }
+  if (password.length < 9 || password.length > 30 || /\s/.test(password)) {
+    throw new Error('Invalid password: must be 9 to 30 characters long, without spaces.');
+  }
+  return password;
+};
+
+/**
+ * Format a size in bytes for humans (binary units).
+ * @param {number} bytes - Size in bytes
+ * @returns {string|null} - Human readable size, or null when unknown
+ */
+const formatBytes = (bytes) => {
+  if (typeof bytes !== 'number' || Number.isNaN(bytes)) return null;
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+};
+
+/**
+ * Parse a size given as bytes or with a unit suffix (K, M, G, T, binary).
+ * @param {string} value - Size such as "5G" or "5368709120"
+ * @returns {number} - Size in bytes
+ * @throws {Error} - If the size is invalid
+ */
+const parseSize = (value) => {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)(i?B)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${value}": expected bytes or a number with K, M, G or T suffix.`);
+  }
+  const power = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase());
+  return Math.round(Number(match[1]) * (1024 ** power));
+};
+
+/**
+ * Normalize a mailbox name given as local part or full address of the current domain.
+ * @param {string} value - Account name or email address
+ * @returns {string} - Account name (local part)
+ * @throws {Error} - If the value is invalid or belongs to another domain
+ */
+const toAccountName = (value) => {
+  const sanitized = validateCliArg(value, 'localOrEmail');
+  const [local, accountDomain] = sanitized.split('@');
+  if (accountDomain && accountDomain.toLowerCase() !== domain.toLowerCase()) {
+    throw new Error(`${sanitized} is not an account of ${domain}.`);
+  }
+  return local.toLowerCase();
+};
+
+/**
+ * Retrieve mailboxes of the current domain with their quota and usage.
+ * @param {Array<string>} [names] - Account names to fetch (default: every account)
+ * @returns {Promise<Array>} - Mailboxes (account, description, quota, used, usage, emails, blocked, usageDate)
+ */
+const getMailboxes = async (names) => {
+  const accountNames = names && names.length
+    ? names
+    : await ovhRequest('GET', `/email/domain/${domain}/account`);
+  return mapLimited(accountNames, async (accountName) => {
+    const base = `/email/domain/${domain}/account/${accountName}`;
+    const [account, usage] = await Promise.all([
+      ovhRequest('GET', base),
+      ovhRequest('GET', `${base}/usage`).catch(() => ({})),
+    ]);
+    const used = typeof usage.quota === 'number' ? usage.quota : undefined;
+    return {
+      account: account.email || `${accountName}@${domain}`,
+      description: account.description || null,
+      quota: formatBytes(account.size),
+      used: formatBytes(used),
+      usage: used !== undefined && account.size ? `${((used / account.size) * 100).toFixed(1)}%` : null,
+      emails: usage.emailCount ?? null,
+      blocked: account.isBlocked ? 'yes' : 'no',
+      usageDate: usage.date || null,
+    };
+  });
+};
+
+/**
+ * Parse CSV content (RFC 4180: quoted fields, doubled quotes, embedded newlines).
+ * @param {string} content - CSV content
+ * @returns {Array<Array<string>>} - Rows of fields, empty lines skipped
+ */
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Parse a date given on the command line for the API.
+ * @param {string} value - Date (YYYY-MM-DD) or ISO 8601 date-time
+ * @returns {string} - ISO 8601 date-time
+ * @throws {Error} - If the date is invalid
+ */
+const parseCliDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}": expected YYYY-MM-DD or an ISO 8601 date-time.`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Build the responder fields sent to the API from command options.
+ * The message comes from --message or from the file given with --message-file.
+ * @param {Object} options - Command options (message, messageFile, from, to, copyTo)
+ * @returns {Promise<Object>} - Responder fields (content, from, to, copy, copyTo); unset options are left out
+ */
+const responderFields = async ({ message, messageFile, from, to, copyTo }) => {
+  if (message !== undefined && messageFile) {
+    throw new Error('Use either --message or --message-file, not both.');
+  }
+  const content = messageFile ? await fs.readFile(messageFile, 'utf-8') : message;
+  const fields = {
+    content,
+    from: from && parseCliDate(from),
+    to: to && parseCliDate(to),
+  };
+  if (fields.from && fields.to && fields.from >= fields.to) {
+    throw new Error('The end date must be after the start date.');
+  }
+  if (copyTo !== undefined) {
+    fields.copy = Boolean(copyTo);
+    fields.copyTo = copyTo ? validateCliArg(copyTo, 'email') : undefined;
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Retrieve the auto-responders of the current domain.
+ * @returns {Promise<Array>} - Responders (account, from, to, copyTo, content)
+ */
+const getResponders = async () => {
+  const accounts = await ovhRequest('GET', `/email/domain/${domain}/responder`);
+  return mapLimited(accounts, async (account) => {
+    const responder = await ovhRequest('GET', `/email/domain/${domain}/responder/${account}`);
+    return {
+      account: `${account}@${domain}`,
+      from: responder.from || null,
+      to: responder.to || null,
+      copyTo: responder.copy ? responder.copyTo || null : null,
+      content: responder.content || null,
+    };
+  });
+};
+
+/**
+ * Retrieve the subscribers of a mailing list of the current domain.
+ * @param {string} list - Mailing list name
+ * @returns {Promise<Array<string>>} - Subscriber addresses
+ */
+const getSubscribers = list => ovhRequest('GET', `/email/domain/${domain}/mailingList/${list}/subscriber`);
+
+/**
+ * Extract email addresses from CSV rows: the "email" column when there is a header,
+ * the first column otherwise.
+ * @param {Array<Array<string>>} rows - Rows as returned by parseCsv
+ * @returns {Array<{ line: number, email: string }>} - Addresses with their line number
+ */
+const csvEmails = (rows) => {
+  const header = rows[0] ? rows[0].map(value => value.trim().toLowerCase()) : [];
+  const column = header.findIndex(value => ['email', 'mail', 'address', 'e-mail'].includes(value));
+  const hasHeader = column !== -1 || (header.length && !header[0].includes('@'));
+  return rows
+    .map((fields, index) => ({ line: index + 1, email: (fields[Math.max(column, 0)] || '').trim() }))
+    .slice(hasHeader ? 1 : 0);
+};
+
+/**
+ * DNSSEC algorithm names (IANA registry).
+ */
+const dnssecAlgorithms = {
+  5: 'RSASHA1',
+  7: 'RSASHA1-NSEC3-SHA1',
+  8: 'RSASHA256',
+  10: 'RSASHA512',
+  13: 'ECDSAP256SHA256',
+  14: 'ECDSAP384SHA384',
+  15: 'ED25519',
+  16: 'ED448',
+};
+
+/**
+ * DS digest types: hash function name for crypto.createHash.
+ */
+const dsDigestTypes = {
+  1: 'sha1',
+  2: 'sha256',
+  4: 'sha384',
+};
+
+/**
+ * Encode a domain name in DNS wire format (lowercase, length-prefixed labels).
+ * @param {string} name - Domain name
+ * @returns {Buffer} - Wire format name
+ */
+const dnsWireName = name => Buffer.concat([
+  ...name.toLowerCase().replace(/\.$/, '').split('.').filter(Boolean)
+    .map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label, 'ascii')])),
+  Buffer.from([0]),
+]);
+
+/**
+ * Compute the key tag and DS record of a DNSKEY (RFC 4034).
+ * @param {string} zoneName - Zone owning the key
+ * @param {Object} key - DNSKEY fields
+ * @param {number} key.flags - Key flags (257 for a KSK, 256 for a ZSK)
+ * @param {number} key.algorithm - Algorithm number
+ * @param {string} key.publicKey - Base64 public key
+ * @param {number} [digestType] - DS digest type (1: SHA-1, 2: SHA-256, 4: SHA-384)
+ * @returns {Object} - DS fields (tag, algorithm, digestType, digest)
+ */
+const computeDsRecord = (zoneName, { flags, algorithm, publicKey }, digestType = 2) => {
+  const rdata = Buffer.concat([
+    Buffer.from([(flags >> 8) & 0xff, flags & 0xff, 3, algorithm]),
+    Buffer.from(publicKey.replace(/\s+/g, ''), 'base64'),
+  ]);
+  let tag = 0;
+  rdata.forEach((byte, index) => {
+    tag += index & 1 ? byte : byte << 8;
+  });
+  tag += (tag >> 16) & 0xffff;
+  const digest = createHash(dsDigestTypes[digestType])
+    .update(Buffer.concat([dnsWireName(zoneName), rdata]))
+    .digest('hex')
+    .toUpperCase();
+  return { tag: tag & 0xffff, algorithm, digestType, digest };
+};
+
+/**
+ * Retrieve the DNSSEC state of a zone.
+ * @param {string} zoneName - The zone domain name
+ * @returns {Promise<string>} - enabled, disabled, enableInProgress or disableInProgress
+ */
+const getDnssecStatus = async zoneName => (await ovhRequest('GET', `/domain/zone/${zoneName}/dnssec`)).status;
+
+/**
+ * Find the zone task created by a change just made: the most recent task with the
+ * given function, created after the change was requested. Tasks are read from the
+ * newest id and the search stops at the first task older than the change.
+ * @param {string} zoneName - The zone domain name
+ * @param {string} fn - Task function, e.g. "DnssecEnable"
+ * @param {number} since - Time the change was requested, in milliseconds
+ * @returns {Promise<Object|null>} - Task (id, function, status, comment...) or null
+ */
+const findZoneTask = async (zoneName, fn, since) => {
+  // Leave some room for a clock slightly ahead of the API one
+  const threshold = since - 30000;
+  const taskIds = await ovhRequest('GET', `/domain/zone/${zoneName}/task`) || [];
+  for await (const taskId of [...taskIds].sort((a, b) => b - a)) {
+    const task = await ovhRequest('GET', `/domain/zone/${zoneName}/task/${taskId}`);
+    if (new Date(task.creationDate) < threshold) return null;
+    if (task.function === fn) return task;
+  }
+  return null;
+};
+
+/**
+ * Wait for a DNSSEC change to finish, following the zone task when there is one,
+ * the DNSSEC status otherwise.
+ * @param {string} zoneName - The zone domain name
+ * @param {Object|null} task - Task reported after the change
+ * @param {number} timeout - Maximum waiting time in milliseconds
+ * @param {number} [interval] - Delay between two checks in milliseconds
+ * @returns {Promise<string>} - Final task status or DNSSEC status
+ * @throws {Error} - If the change is not finished before the timeout
+ */
+const waitForDnssec = async (zoneName, task, timeout, interval = 5000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (task) {
+      const { status } = await ovhRequest('GET', `/domain/zone/${zoneName}/task/${task.id}`);
+      if (['done', 'error', 'cancelled'].includes(status)) return status;
+    } else {
+      const status = await getDnssecStatus(zoneName);
+      if (!status.endsWith('InProgress')) return status;
+    }
+    await sleep(interval);
+  }
+  throw new Error(`DNSSEC change on ${zoneName} still in progress after ${timeout / 1000}s.`);
+};
+
+/**
+ * Enable or disable DNSSEC on a zone, report the task and optionally wait for it.
+ * @param {string} zoneName - The zone domain name
+ * @param {boolean} enable - True to enable, false to disable
+ * @param {Object} options - Command options (wait, timeout)
+ * @returns {Promise<void>}
+ */
+const switchDnssec = async (zoneName, enable, { wait, timeout }) => {
+  const current = await getDnssecStatus(zoneName);
+  if (current === (enable ? 'enabled' : 'disabled')) {
+    console.log(`DNSSEC is already ${current} on ${zoneName}.`);
+    return;
+  }
+  const requestedAt = Date.now();
+  await ovhRequest(enable ? 'POST' : 'DELETE', `/domain/zone/${zoneName}/dnssec`);
+  if (dryRun) {
+    await afterMutation(() => {});
+    return;
+  }
+  const task = await findZoneTask(zoneName, enable ? 'DnssecEnable' : 'DnssecDisable', requestedAt).catch(() => null);
+  console.log(`DNSSEC ${enable ? 'activation' : 'deactivation'} requested on ${zoneName}.`);
+  if (task) {
+    console.log(`Task ${task.id} (${task.function}): ${task.status}`);
+  }
+  if (wait) {
+    console.log('Waiting for the change to finish...');
+    const status = await waitForDnssec(zoneName, task, Number(timeout) * 1000);
+    console.log(`Finished: ${status}.`);
+    if (status === 'error' || status === 'cancelled') {
+      process.exitCode = 1;
+    }
+  }
+};
+
+/**
+ * Parse a duration such as "90s", "5m", "12h", "30d" or "2w" (bare numbers are seconds).
+ * @param {string} value - Duration
+ * @returns {number} - Duration in milliseconds
+ * @throws {Error} - If the duration is invalid
+ */
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}": expected a number followed by s, m, h, d or w.`);
+  }
+  const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  return Math.round(Number(match[1]) * units[(match[2] || 's').toLowerCase()]);
+};
+
+/**
+ * Retrieve the renewal state of a domain from its service information.
+ * @param {string} domainName - Domain name
+ * @returns {Promise<Object>} - { name, expiration, daysLeft, renewal, status }
+ */
+const getDomainRenewal = async (domainName) => {
+  const { expiration, status, renew = {} } = await ovhRequest('GET', `/domain/${domainName}/serviceInfos`);
+  let renewal = 'manual';
+  if (renew.deleteAtExpiration) {
+    renewal = 'delete at expiration';
+  } else if (renew.automatic) {
+    renewal = 'automatic';
+  }
+  const daysLeft = Math.floor((new Date(`${expiration}T00:00:00Z`) - Date.now()) / 86400000);
+  return { name: domainName, expiration, daysLeft, renewal, status };
+};
+
+/**
+ * Find the current public IP address.
+ * The source URL must answer the address as plain text or as JSON with an "ip" field.
+ * @param {string} source - URL of the IP echo service
+ * @returns {Promise<string>} - Public IP address
+ * @throws {Error} - If the source does not answer a valid address within DYNHOST_IP_TIMEOUT (default: 10s)
+ */
+const getPublicIp = async (source) => {
+  const timeout = parseDuration(process.env.DYNHOST_IP_TIMEOUT || '10s');
+  let response;
+  let text;
+  try {
+    // A hung source must not stall "dynhost update --watch"
+    response = await fetch(source, {
+      headers: { Accept: 'text/plain, application/json' },
+      signal: AbortSignal.timeout(timeout),
+    });
+    text = (await response.text()).trim();
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      throw new Error(`${source} did not answer within ${timeout / 1000}s.`);
+    }
+    throw new Error(`Cannot reach ${source} (${err.cause?.code || err.message}).`);
+  }
+  if (!response.ok) {
+    throw new Error(`${source} answered HTTP ${response.status}.`);
+  }
+  let ip = text;
+  if (text.startsWith('{')) {
+    ({ ip } = JSON.parse(text));
+  }
+  if (!isIPv4(ip || '') && !isIPv6(ip || '')) {
+    throw new Error(`${source} did not answer an IP address.`);
+  }
+  return ip;
+};
+
+/**
+ * Retrieve the DynHost records of a zone.
+ * @param {string} zoneName - The zone domain name
+ * @returns {Promise<Array>} - Records (id, subDomain, ip)
+ */
+const getDynHostRecords = async (zoneName) => {
+  const ids = await ovhRequest('GET', `/domain/zone/${zoneName}/dynHost/record`);
+  return mapLimited(ids, async (id) => {
+    const { subDomain, ip } = await ovhRequest('GET', `/domain/zone/${zoneName}/dynHost/record/${id}`);
+    return { id, subDomain: subDomain || '@', ip: ip || null };
+  });
+};
+
+/**
+ * Point a DynHost record at the current public IP if it changed, creating it if asked.
+ * @param {string} zoneName - The zone domain name
+ * @param {string} subDomain - DynHost subdomain
+ * @param {Object} options - Command options (ipSource, create)
+ * @returns {Promise<boolean>} - True if the record was changed
+ * @throws {Error} - If the record does not exist and create is not set
+ */
+const syncDynHost = async (zoneName, subDomain, { ipSource, create }) => {
+  const sub = normalizeSubDomain(subDomain);
+  const [ip, records] = await Promise.all([getPublicIp(ipSource), getDynHostRecords(zoneName)]);
+  const record = records.find(({ subDomain: recordSub }) => normalizeSubDomain(recordSub) === sub);
+  const host = sub ? `${sub}.${zoneName}` : zoneName;
+  const stamp = new Date().toISOString();
+
+  if (!record && !create) {
+    throw new Error(`No DynHost record for ${host}; use --create to add it.`);
+  }
+  if (record && record.ip === ip) {
+    console.log(`${stamp} ${host} is up to date (${ip}).`);
+    return false;
+  }
+  if (record) {
+    await ovhRequest('PUT', `/domain/zone/${zoneName}/dynHost/record/${record.id}`, { ip, subDomain: sub });
+  } else {
+    await ovhRequest('POST', `/domain/zone/${zoneName}/dynHost/record`, { ip, subDomain: sub });
+  }
+  await refreshDnsZone(zoneName);
+  console.log(`${stamp} ${host}: ${record ? record.ip : 'new record'} → ${ip}${dryRun ? ' (dry run)' : ''}`);
+  return true;
+};
+
+/**
+ * Format a contact identifier for display.
+ * For numeric IDs, fetch name and format as "FirstName LastName (ID)".
+ * For non-numeric handles, return as-is.
+ * @param {string} contactId - Contact ID or account handle
+ * @returns {Promise<string|null>} - Formatted contact string, or null without contact
  */
 const formatContactId = async (contactId) => {
-  if (!contactId || contactId === 'N/A') {
-    return 'N/A';
+  if (!contactId) {
+    return null;
+  }
+
+  // Check if it's a numeric ID (not a handle like 'mb135-ovh')
+  if (/^\d+$/.test(contactId)) {
+    try {
+      const contactInfo = await ovhRequest('GET', `/me/contact/${contactId}`);
+      if (contactInfo.firstName && contactInfo.lastName) {
+        return `${contactInfo.firstName} ${contactInfo.lastName} (${contactId})`;
+      }
+      return contactId;
+    } catch {
+      // If fetch fails, return the ID
+      return contactId;
+    }
+  }
+
+  // Return account handles as-is
+  return contactId;
+};
+
+/**
+ * Create a redirection and record its creation date with the given metadata.
+ * @param {string} from - Source address
+ * @param {string} to - Target address
+ * @param {Object} [metadata] - Alias metadata ({ note, tags, site })
+ */
+const createRedir = async (from, to, metadata = {}) => {
+  if (from && to) {
+    const response = await ovhRequest(
+      'POST',
+      `/email/domain/${domain}/redirection`,
+      { from, to, localCopy: false },
+    );
+    recordChange({ type: 'redirection', action: 'create', domain, after: { from, to } });
+    if (!dryRun) {
+      const address = from.includes('@') ? from : `${from}@${domain}`;
+      await setAliasMetadata(address, { createdAt: new Date().toISOString(), ...metadata });
+    }
+    if (response) {
+      console.log(response);
+    }
+  }
+};
+
+/**
+ * Create a per-site alias forwarded to DEFAULT_TO; the site defaults to the local part.
+ * @param {string} str - Local part
+ * @param {Object} [metadata] - Alias metadata ({ note, tags, site })
+ */
+const createDefaultRedir = (str, metadata = {}) => createRedir(
+  `${str}@${domain}`,
+  process.env.DEFAULT_TO.replace(/\{\{alias\}\}/g, str),
+  { site: str, ...metadata },
+);
+
+/**
+ * Cached redirections of an alias: an alias may have several targets.
+ * @param {string} from - Address of the alias
+ * @returns {Array} - Redirections ({ id, from, to })
+ */
+const redirectionsOf = from => domainRedirections()
+  .filter(redirection => redirection.from.toLowerCase() === from.toLowerCase());
+
+/**
+ * Redirect an alias to the spam sink. One of its redirections is retargeted, the others
+ * are deleted, and their previous targets are kept in the alias metadata for "redir unban";
+ * an alias with no redirection is created banned.
+ * @param {string} from - Address of the alias
+ * @returns {Promise<boolean>} - False if the alias was already banned
+ */
+const banRedir = async (from) => {
+  const spam = spamAddress();
+  const redirections = redirectionsOf(from);
+  if (!redirections.length) {
+    await createRedir(from, spam);
+    return true;
+  }
+  const forwards = redirections.filter(({ to }) => to !== spam);
+  if (!forwards.length && redirections.length === 1) {
+    return false;
+  }
+  // changeRedir updates the cached redirections, read their targets first
+  const previous = forwards.map(({ to }) => to);
+  const [kept, ...others] = [...redirections].sort((a, b) => (b.to === spam) - (a.to === spam));
+  await deleteRedir(...others.map(({ id }) => id));
+  if (kept.to !== spam) {
+    await changeRedir(kept.id, spam);
+  }
+  if (!dryRun) {
+    const recorded = [].concat(aliasMetadata(kept.from).bannedFrom || []);
+    await setAliasMetadata(kept.from, { bannedFrom: [...new Set([...recorded, ...previous])] });
+  }
+  return true;
+};
+
+/**
+ * Give a banned alias its targets from before the ban back.
+ * @param {string} from - Address of the alias
+ * @returns {Promise<Array<string>>} - Restored targets
+ * @throws {Error} - If the alias is not banned or its previous targets are unknown
+ */
+const unbanRedir = async (from) => {
+  const spam = spamAddress();
+  const redirections = redirectionsOf(from);
+  const banned = redirections.filter(({ to }) => to === spam);
+  if (!banned.length) {
+    throw new Error(`${from} is not banned.`);
+  }
+  const address = banned[0].from;
+  const { bannedFrom, createdAt } = aliasMetadata(address);
+  const current = redirections.filter(({ to }) => to !== spam).map(({ to }) => to);
+  const targets = [].concat(bannedFrom || []);
+  if (!targets.length && !current.length) {
+    throw new Error(`no target was recorded when ${address} was banned, use "ovh redir modify" or "ovh redir delete".`);
+  }
+  // Redirections to the spam sink left next to forwards (older bans) are only deleted
+  const [restored, ...more] = targets.filter(to => !current.includes(to));
+  const [kept, ...extra] = banned;
+  if (restored) {
+    await changeRedir(kept.id, restored);
+  } else {
+    extra.unshift(kept);
+  }
+  await deleteRedir(...extra.map(({ id }) => id));
+  for await (const to of more) {
+    await createRedir(address, to, { createdAt });
+  }
+  if (!dryRun) {
+    await setAliasMetadata(address, { bannedFrom: null });
+  }
+  return targets.length ? targets : current;
+};
+
+/**
+ * Generate an unguessable local part from a pattern, RANDOM_ALIAS_PATTERN by default.
+ * {{alias}} is replaced by the given name, {{random}} by 10 random characters
+ * ({{random:16}} for another length); separators left at the edges are removed.
+ * @param {string} alias - Name of the alias, usually the site it is given to
+ * @param {string} [pattern] - Pattern (default: RANDOM_ALIAS_PATTERN, or "{{alias}}.{{random}}")
+ * @returns {string} - Local part
+ * @throws {Error} - If the pattern has no {{random}} placeholder or gives an invalid local part
+ */
+const randomLocalPart = (alias, pattern = process.env.RANDOM_ALIAS_PATTERN || '{{alias}}.{{random}}') => {
+  if (!/\{\{random(:\d+)?\}\}/.test(pattern)) {
+    throw new Error(`Invalid random alias pattern "${pattern}": it needs a {{random}} placeholder.`);
+  }
+  // No look-alike characters, so the alias can be read back
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const localPart = pattern
+    .replace(/\{\{random(?::(\d+))?\}\}/g, (_, length = '10') =>
+      Array.from({ length: Number(length) }, () => alphabet[randomInt(alphabet.length)]).join(''))
+    .replace(/\{\{alias\}\}/g, alias)
+    .replace(/^[-._+]+|[-._+]+$/g, '');
+  if (localPart.includes('@')) {
+    throw new Error(`Invalid random alias pattern "${pattern}": it gives a local part, not an address.`);
+  }
+  return validateCliArg(localPart, 'localOrEmail');
+};
+
+/**
+ * Columns of exported redirections, in the order of CSV exports.
+ */
+const exportColumns = ['from', 'to', 'site', 'tags', 'note', 'createdAt', 'expiresAt'];
+
+/**
+ * Redirections of a domain with their metadata, as exported by "redir export".
+ * @param {Array} redirections - Cached redirections
+ * @returns {Array} - Rows of exportColumns, tags as an array
+ */
+const exportRedirections = redirections => redirections.map(({ from, to }) => {
+  const { site = null, tags = [], note = null, createdAt = null, expiresAt = null } = aliasMetadata(from);
+  return { from, to, site, tags, note, createdAt, expiresAt };
+});
+
+/**
+ * Read redirections from a JSON array or a CSV file with a header (from, to and optional metadata),
+ * as written by "redir export". CSV tags are separated by semicolons.
+ * @param {string} file - File path
+ * @returns {Promise<Array>} - Rows ({ line, from, to, site, tags, note, createdAt, expiresAt })
+ * @throws {Error} - If the file cannot be parsed or has no "from" column
+ */
+const readRedirectionFile = async (file) => {
+  const content = await fs.readFile(file, 'utf-8');
+  if (file.endsWith('.json') || /^\s*\[/.test(content)) {
+    let items;
+    try {
+      items = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(items)) {
+      throw new Error(`${file} must hold an array of redirections.`);
+    }
+    return items.map((item, index) => ({ ...item, line: index + 1, tags: [].concat(item.tags || []) }));
+  }
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map(value => value.trim());
+  if (!columns.includes('from')) {
+    throw new Error(`${file} has no "from" column (expected a header like ${exportColumns.join(',')}).`);
+  }
+  return rows.map((fields, index) => {
+    const item = Object.fromEntries(columns.map((column, position) => [column, (fields[position] || '').trim()]));
+    return {
+      ...item,
+      line: index + 2,
+      tags: item.tags ? item.tags.split(';').map(tag => tag.trim()).filter(Boolean) : [],
+    };
+  });
+};
+
+/**
+ * Format the time left before a date, e.g. "6d 23h", "45m" or "expired".
+ * @param {string} date - ISO date
+ * @returns {string} - Remaining lifetime
+ */
+const formatRemaining = (date) => {
+  const minutes = Math.ceil((new Date(date) - Date.now()) / 60000);
+  if (minutes <= 0) return 'expired';
+  const [days, hours, mins] = [Math.floor(minutes / 1440), Math.floor((minutes % 1440) / 60), minutes % 60];
+  if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours) return mins ? `${hours}h ${mins}m` : `${hours}h`;
+  return `${mins}m`;
+};
+
+/**
+ * Load a redirection manifest (YAML or JSON).
+ * Expected shape:
+ *   domain: example.org          # optional, must match the current domain
+ *   redirections:
+ *     alias: someone@example.com # local part or full address → target(s)
+ *     other: [a@example.com, b@example.com]
+ *   ban: [spammy, leaked]        # aliases redirected to the spam sink (SPAM_TO)
+ * @param {string} file - Path to the manifest
+ * @returns {Promise<Array>} - Desired redirections ({ from, to })
+ * @throws {Error} - If the manifest is invalid
+ */
+const loadRedirManifest = async (file) => {
+  const content = await fs.readFile(file, 'utf-8');
+  const manifest = /\.json$/i.test(file) ? JSON.parse(content) : YAML.parse(content);
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error(`${file}: manifest must be an object.`);
+  }
+  if (manifest.domain && manifest.domain !== domain) {
+    throw new Error(`${file}: manifest is for ${manifest.domain}, current domain is ${domain}.`);
+  }
+
+  const toAddress = str => (str.includes('@') ? str : `${str}@${domain}`).toLowerCase();
+  const desired = [];
+  const seen = new Set();
+  const add = (from, to) => {
+    const key = `${from}\u0000${to}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      desired.push({ from, to });
+    }
+  };
+
+  for (const [from, targets] of Object.entries(manifest.redirections || {})) {
+    const fromAddress = toAddress(validateCliArg(from, 'localOrEmail'));
+    const list = Array.isArray(targets) ? targets : [targets];
+    if (!list.length) {
+      throw new Error(`${file}: "${from}" has no target.`);
+    }
+    list.forEach(to => add(fromAddress, validateCliArg(String(to), 'email').toLowerCase()));
+  }
+  for (const from of manifest.ban || []) {
+    add(toAddress(validateCliArg(String(from), 'localOrEmail')), spamAddress());
+  }
+  return desired;
+};
+
+/**
+ * Compute the changes needed to turn the cached redirections into the manifest ones.
+ * Aliases absent from the manifest are only deleted when prune is set.
+ * @param {Array} current - Cached redirections ({ id, from, to })
+ * @param {Array} desired - Redirections as returned by loadRedirManifest
+ * @param {boolean} prune - Delete aliases not managed by the manifest
+ * @returns {Object} - Plan ({ creates, changes, deletes, unmanaged })
+ */
+const planRedirChanges = (current, desired, prune = false) => {
+  const managed = new Set(desired.map(({ from }) => from));
+  const creates = [];
+  const changes = [];
+  const deletes = [];
+  const unmanaged = [];
+
+  for (const from of managed) {
+    const live = current.filter(redirection => redirection.from.toLowerCase() === from);
+    const remaining = [];
+    for (const { to } of desired.filter(redirection => redirection.from === from)) {
+      const index = live.findIndex(redirection => redirection.to.toLowerCase() === to);
+      if (index === -1) {
+        remaining.push({ from, to });
+      } else {
+        live.splice(index, 1);
+      }
+    }
+    while (remaining.length && live.length) {
+      changes.push({ before: live.shift(), after: remaining.shift() });
+    }
+    creates.push(...remaining);
+    deletes.push(...live);
+  }
+
+  for (const redirection of current) {
+    if (!managed.has(redirection.from.toLowerCase())) {
+      (prune ? deletes : unmanaged).push(redirection);
+    }
+  }
+
+  return { creates, changes, deletes, unmanaged };
+};
+
+/**
+ * Render a redirection plan with colours.
+ * @param {Object} plan - Plan as returned by planRedirChanges
+ * @returns {string} - Human readable plan
+ */
+const formatRedirPlan = ({ creates, changes, deletes, unmanaged }) => {
+  const lines = [
+    ...creates.map(({ from, to }) => chalk.green(`+ ${from} → ${to}`)),
+    ...changes.map(({ before, after }) => chalk.yellow(`~ ${before.from} → ${before.to}  ⇒  ${after.to}`)),
+    ...deletes.map(({ from, to }) => chalk.red(`- ${from} → ${to}`)),
+  ];
+  if (unmanaged.length) {
+    lines.push(chalk.gray(`${unmanaged.length} unmanaged redirection(s) kept (use --prune to delete them).`));
+  }
+  lines.push('', `Plan: ${creates.length} to create, ${changes.length} to change, ${deletes.length} to delete.`);
+  return lines.join('\n');
+};
+
+/**
+ * Apply a redirection plan: creations first, then changes and deletions.
+ * @param {Object} plan - Plan as returned by planRedirChanges or diagnoseRedirections
+ */
+const applyRedirPlan = async ({ creates, changes, deletes }) => {
+  for await (const { from, to } of creates) {
+    await createRedir(from, to);
+  }
+  for await (const { before, after } of changes) {
+    await changeRedir(before.id, after.to);
+  }
+  await deleteRedir(...deletes.map(({ id }) => id));
+};
+
+/**
+ * Keep the ban records of manifest aliases in line with "redir ban": aliases the manifest
+ * bans remember the targets they had before, the others forget their ban.
+ * @param {Array} current - Redirections before the plan was applied ({ from, to })
+ * @param {Array} desired - Redirections as returned by loadRedirManifest
+ * @returns {Promise<void>}
+ */
+const recordManifestBans = async (current, desired) => {
+  const spam = spamAddress().toLowerCase();
+  for await (const from of new Set(desired.map(redirection => redirection.from))) {
+    const live = current.filter(redirection => redirection.from.toLowerCase() === from);
+    const address = live[0]?.from || from;
+    const recorded = [].concat(aliasMetadata(address).bannedFrom || []);
+    if (desired.every(redirection => redirection.from !== from || redirection.to.toLowerCase() === spam)) {
+      const previous = live.filter(({ to }) => to.toLowerCase() !== spam).map(({ to }) => to);
+      if (previous.length) {
+        await setAliasMetadata(address, { bannedFrom: [...new Set([...recorded, ...previous])] });
+      }
+    } else if (recorded.length) {
+      await setAliasMetadata(address, { bannedFrom: null });
+    }
+  }
+};
+
+/**
+ * Find the redirection loops of a domain, as strongly connected components of the alias graph.
+ * @param {Map<string, Array<string>>} graph - Targets of each alias
+ * @returns {Array<Array<string>>} - Loops, each as the list of addresses walked until the first one comes back
+ */
+const findRedirLoops = (graph) => {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    low.set(node, counter);
+    counter += 1;
+    stack.push(node);
+    for (const next of graph.get(node) || []) {
+      if (!index.has(next)) {
+        visit(next);
+        low.set(node, Math.min(low.get(node), low.get(next)));
+      } else if (stack.includes(next)) {
+        low.set(node, Math.min(low.get(node), index.get(next)));
+      }
+    }
+    if (low.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1 || (graph.get(node) || []).includes(node)) {
+        components.push(component);
+      }
+    }
+  };
+  [...graph.keys()].forEach(node => index.has(node) || visit(node));
+
+  return components.map((component) => {
+    const [start] = [...component].sort();
+    const path = [start];
+    let current = start;
+    do {
+      current = graph.get(current).find(next => component.includes(next) && (next === start || !path.includes(next)));
+      path.push(current);
+    } while (current !== start && current);
+    return path;
+  });
+};
+
+/**
+ * Look for mistakes in the redirections of a domain, and plan their fixes.
+ * Loops are only reported: breaking them needs a human decision.
+ * @param {Array} redirections - Cached redirections ({ id, from, to })
+ * @param {Array<string>} localBoxes - Local addresses receiving mail (mailboxes, mailing lists)
+ * @param {string} mailDomain - Domain of the redirections
+ * @returns {Object} - Findings ({ loops, chains, duplicates, dangling, conflicts }) and fix plan ({ creates, changes, deletes, unmanaged })
+ */
+const diagnoseRedirections = (redirections, localBoxes, mailDomain) => {
+  const spam = spamAddress(mailDomain).toLowerCase();
+  const boxes = new Set(localBoxes.map(address => address.toLowerCase()));
+  const normalized = redirections.map(redirection => ({
+    ...redirection,
+    from: redirection.from.toLowerCase(),
+    to: redirection.to.toLowerCase(),
+  }));
+  const graph = new Map();
+  normalized.forEach(({ from, to }) => graph.set(from, [...(graph.get(from) || []), to]));
+  const isLocal = address => address.endsWith(`@${mailDomain}`);
+  const plan = { creates: [], changes: [], deletes: [], unmanaged: [] };
+
+  const loops = findRedirLoops(graph);
+  const looping = new Set(loops.flat());
+
+  // Aliases both banned and forwarded: keep the ban
+  const conflicts = [];
+  for (const [from, targets] of graph) {
+    if (targets.includes(spam) && targets.some(to => to !== spam)) {
+      const forwards = normalized.filter(redirection => redirection.from === from && redirection.to !== spam);
+      conflicts.push({ from, to: forwards.map(({ to }) => to) });
+      plan.deletes.push(...forwards);
+    }
+  }
+  const conflicting = new Set(conflicts.map(({ from }) => from));
+
+  // Same alias defined more than once: identical rows are dropped, fan-outs are only reported
+  const duplicates = [];
+  for (const [from, targets] of graph) {
+    if (targets.length > 1 && !conflicting.has(from)) {
+      duplicates.push({ from, to: targets });
+      const seen = new Set();
+      normalized.filter(redirection => redirection.from === from).forEach((redirection) => {
+        if (seen.has(redirection.to)) {
+          plan.deletes.push(redirection);
+        }
+        seen.add(redirection.to);
+      });
+    }
+  }
+
+  // Final targets of an alias, following local redirections
+  const resolve = (address, visited = new Set()) => {
+    if (!graph.has(address) || visited.has(address) || boxes.has(address)) {
+      return [address];
+    }
+    visited.add(address);
+    return [...new Set(graph.get(address).flatMap(next => resolve(next, visited)))];
+  };
+
+  // Aliases pointing to another alias
+  const chains = [];
+  for (const redirection of normalized) {
+    const { from, to } = redirection;
+    if (isLocal(to) && graph.has(to) && !looping.has(from) && !looping.has(to) && !conflicting.has(from)) {
+      const hops = [from];
+      let current = to;
+      while (graph.has(current) && graph.get(current).length === 1 && !hops.includes(current)) {
+        hops.push(current);
+        [current] = graph.get(current);
+      }
+      hops.push(graph.has(current) && !hops.includes(current) ? `${current} (…)` : current);
+      chains.push({ from, to: hops.slice(1).join(' → '), mailbox: boxes.has(to) });
+      if (!boxes.has(to)) {
+        const [first, ...others] = resolve(to);
+        plan.changes.push({ before: redirection, after: { from, to: first } });
+        others.forEach(other => plan.creates.push({ from, to: other }));
+      }
+    }
+  }
+
+  // Local targets receiving nothing
+  const dangling = [];
+  for (const redirection of normalized) {
+    const { to } = redirection;
+    if (isLocal(to) && to !== spam && !boxes.has(to) && !graph.has(to)) {
+      dangling.push({ from: redirection.from, to });
+      plan.deletes.push(redirection);
+    }
+  }
+
+  const dropped = new Set();
+  plan.deletes = plan.deletes.filter(({ id }) => !dropped.has(id) && dropped.add(id));
+  plan.changes = plan.changes.filter(({ before }) => !dropped.has(before.id));
+
+  return { loops, chains, duplicates, dangling, conflicts, plan };
+};
+
+/**
+ * Full-screen browser of the cached redirections of the current domain, with search, sorting
+ * and key bindings to create, retarget, ban and delete aliases. Every change is confirmed
+ * before being sent, then the cache is updated.
+ * @returns {Promise<void>} - Resolves when the user quits
+ * @throws {Error} - If the terminal is not interactive
+ */
+const runRedirTui = async () => {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY || !stdout.isTTY) {
+    throw new Error('redir tui needs an interactive terminal, use "redir list" instead.');
+  }
+  const spam = spamAddress();
+  const sortColumns = ['from', 'to', 'id'];
+  const help = '↑↓ move  / search  s sort  r reverse  c create  t target  b ban  d delete  u update  q quit';
+  const state = {
+    redirections: await getRedirections(),
+    query: '',
+    sortBy: 'from',
+    order: 'asc',
+    cursor: 0,
+    offset: 0,
+    mode: 'list',
+    input: null,
+    confirm: null,
+    message: '',
+    busy: false,
+  };
+
+  const visible = () => sortRedirections(filterRedirections(state.redirections, state.query), state.sortBy, state.order);
+
+  const render = () => {
+    const width = stdout.columns || 80;
+    const height = stdout.rows || 24;
+    const rows = visible();
+    const pageSize = Math.max(1, height - 5);
+    state.cursor = Math.max(0, Math.min(state.cursor, rows.length - 1));
+    state.offset = Math.min(state.offset, state.cursor);
+    state.offset = Math.max(state.offset, state.cursor - pageSize + 1);
+
+    const idWidth = Math.max(2, ...rows.map(({ id }) => String(id).length));
+    const mailWidth = Math.max(10, Math.floor((width - idWidth - 4) / 2));
+    const fit = (text, size) => {
+      const str = String(text);
+      return str.length > size ? `${str.slice(0, size - 1)}…` : str;
+    };
+    const pad = (str, size) => ' '.repeat(Math.max(0, size - str.length));
+    const line = ({ id, from, to }, selected) => {
+      const cells = [[fit(id, idWidth), idWidth], [fit(from, mailWidth), mailWidth], [fit(to, mailWidth), mailWidth]];
+      if (selected) {
+        return chalk.inverse(cells.map(([str, size]) => str + pad(str, size)).join('  '));
+      }
+      const [[idCell], [fromCell], [toCell]] = cells;
+      return `${chalk.gray(idCell)}${pad(idCell, idWidth)}  ${prettyMail(fromCell)}${pad(fromCell, mailWidth)}  ${prettyMail(toCell)}`;
+    };
+
+    const arrow = state.order === 'asc' ? '↑' : '↓';
+    let status = state.message;
+    if (state.mode === 'search') {
+      status = `/${state.query}█`;
+    } else if (state.mode === 'input') {
+      status = `${state.input.label}: ${state.input.value}█`;
+    } else if (state.mode === 'confirm') {
+      status = chalk.yellow(`${state.confirm.question} [y/N]`);
+    }
+    const lines = [
+      `${chalk.bold(`ovh redir tui — ${domain}`)}  ${rows.length}/${state.redirections.length} redirection(s), sorted by ${state.sortBy} ${arrow}${state.query ? `, search: ${state.query}` : ''}`,
+      chalk.cyan(`${'id'.padEnd(idWidth)}  ${'from'.padEnd(mailWidth)}  to`),
+      ...rows.slice(state.offset, state.offset + pageSize).map((redirection, index) =>
+        line(redirection, state.offset + index === state.cursor)),
+      ...Array(Math.max(0, pageSize - rows.length)).fill(''),
+      '',
+      fit(status, width),
+      chalk.gray(fit(help, width)),
+    ];
+    stdout.write(`\x1b[H\x1b[2J${lines.join('\n')}`);
+  };
+
+  // Run a change with console output captured, as it would garble the screen;
+  // the cache is synced afterwards unless the change is a sync itself
+  const apply = async (description, change, { synced = false } = {}) => {
+    state.busy = true;
+    state.message = `${description}…`;
+    render();
+    const output = [];
+    const { log, error } = console;
+    console.log = (...args) => output.push(args.join(' '));
+    console.error = console.log;
+    try {
+      await change();
+      if (dryRun) {
+        state.message = chalk.yellow(output.filter(text => text.includes('[dry-run]')).join(' ') || 'Dry run: nothing sent.');
+      } else {
+        if (!synced) {
+          await updateRedirections(domain, { quiet: true });
+        }
+        state.redirections = domainRedirections();
+        state.message = chalk.green(`${description}: done.`);
+      }
+    } catch (err) {
+      state.message = chalk.red(`${description} failed: ${err.message || err}`);
+    } finally {
+      console.log = log;
+      console.error = error;
+      state.busy = false;
+    }
+    render();
+  };
+
+  const ask = (question, run) => {
+    state.mode = 'confirm';
+    state.confirm = { question, run };
+  };
+
+  const prompt = (label, value, submit) => {
+    state.mode = 'input';
+    state.input = { label, value, submit };
+  };
+
+  // Line editing shared by search and prompts; returns true when the key was handled
+  const edit = (value, str, key, set) => {
+    if (key.name === 'backspace') {
+      set(value.slice(0, -1));
+      return true;
+    }
+    if (str && str.length === 1 && str >= ' ' && !key.ctrl && !key.meta) {
+      set(value + str);
+      return true;
+    }
+    return false;
+  };
+
+  return new Promise((resolve) => {
+    const quit = () => {
+      stdin.off('keypress', onKey);
+      stdout.off('resize', render);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write('\x1b[?25h\x1b[?1049l');
+      resolve();
+    };
+
+    const onKeyInList = (str, key) => {
+      const rows = visible();
+      const selected = rows[state.cursor];
+      const pageSize = Math.max(1, (stdout.rows || 24) - 5);
+      state.message = '';
+      switch (key.name || str) {
+        case 'up': case 'k': state.cursor -= 1; break;
+        case 'down': case 'j': state.cursor += 1; break;
+        case 'pageup': state.cursor -= pageSize; break;
+        case 'pagedown': state.cursor += pageSize; break;
+        case 'home': state.cursor = 0; break;
+        case 'end': state.cursor = rows.length - 1; break;
+        case '/': state.mode = 'search'; break;
+        case 's':
+          state.sortBy = sortColumns[(sortColumns.indexOf(state.sortBy) + 1) % sortColumns.length];
+          break;
+        case 'r': state.order = state.order === 'asc' ? 'desc' : 'asc'; break;
+        case 'u':
+          apply('Update', () => updateRedirections(domain, { quiet: true, full: true }), { synced: true });
+          return;
+        case 'c':
+          prompt('New alias (local part or address)', '', (from) => {
+            const fromSanitized = validateCliArg(from, 'localOrEmail');
+            prompt(`Target of ${fromSanitized} (empty: DEFAULT_TO)`, '', (to) => {
+              const toSanitized = to ? validateCliArg(to, 'email') : undefined;
+              const fromAddress = fromSanitized.includes('@') ? fromSanitized : `${fromSanitized}@${domain}`;
+              if (!toSanitized && fromAddress.split('@')[1].toLowerCase() !== domain.toLowerCase()) {
+                throw new Error(`${fromAddress} is not on ${domain}: give a target, DEFAULT_TO only applies to ${domain}.`);
+              }
+              ask(`Create ${fromAddress} → ${toSanitized || 'DEFAULT_TO'}?`, () => apply(`Create ${fromAddress}`, () => (toSanitized
+                ? createRedir(fromAddress, toSanitized)
+                : createDefaultRedir(fromAddress.split('@')[0]))));
+            });
+          });
+          break;
+        case 't':
+          if (selected) {
+            prompt(`New target of ${selected.from}`, selected.to, (to) => {
+              const toSanitized = validateCliArg(to, 'email');
+              ask(`Change ${selected.from} → ${selected.to} to ${toSanitized}?`,
+                () => apply(`Retarget ${selected.from}`, () => changeRedir(selected.id, toSanitized)));
+            });
+          }
+          break;
+        case 'b':
+          if (selected && redirectionsOf(selected.from).every(({ to }) => to === spam)) {
+            state.message = `${selected.from} is already banned.`;
+          } else if (selected) {
+            const targets = redirectionsOf(selected.from).map(({ to }) => to).join(', ');
+            ask(`Ban ${selected.from} (${targets} → ${spam})?`,
+              () => apply(`Ban ${selected.from}`, () => banRedir(selected.from)));
+          }
+          break;
+        case 'd':
+          if (selected) {
+            ask(`Delete ${selected.from} → ${selected.to}?`,
+              () => apply(`Delete ${selected.from}`, () => deleteRedir(selected.id)));
+          }
+          break;
+        case 'q': case 'escape': quit(); return;
+        default: return;
+      }
+      render();
+    };
+
+    const onKey = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        quit();
+        return;
+      }
+      if (state.busy) {
+        return;
+      }
+      if (state.mode === 'search') {
+        if (key.name === 'return' || key.name === 'escape') {
+          state.query = key.name === 'escape' ? '' : state.query;
+          state.mode = 'list';
+        } else {
+          edit(state.query, str, key, (value) => { state.query = value; });
+          state.cursor = 0;
+        }
+      } else if (state.mode === 'input') {
+        const { input } = state;
+        if (key.name === 'escape') {
+          state.mode = 'list';
+          state.message = 'Cancelled.';
+        } else if (key.name === 'return') {
+          state.mode = 'list';
+          try {
+            input.submit(input.value.trim());
+          } catch (err) {
+            state.mode = 'list';
+            state.message = chalk.red(err.message);
+          }
+        } else {
+          edit(input.value, str, key, (value) => { input.value = value; });
+        }
+      } else if (state.mode === 'confirm') {
+        state.mode = 'list';
+        if (str === 'y' || str === 'Y') {
+          state.confirm.run();
+          return;
+        }
+        state.message = 'Cancelled, nothing was sent.';
+      } else {
+        onKeyInList(str, key);
+        return;
+      }
+      render();
+    };
+
+    emitKeypressEvents(stdin);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('keypress', onKey);
+    stdout.on('resize', render);
+    stdout.write('\x1b[?1049h\x1b[?25l');
+    render();
+  });
+};
+
+/**
+ * Parse a custom access rule given as "METHOD:/path".
+ * @param {string} value - Rule as typed on the command line
+ * @param {Array} previous - Rules parsed so far (commander option accumulator)
+ * @returns {Array} - Rules including the parsed one
+ * @throws {Error} - If the rule is malformed
+ */
+const parseAccessRule = (value, previous = []) => {
+  const match = value.match(/^(GET|POST|PUT|DELETE):(\/\S*)$/i);
+  if (!match) {
+    throw new InvalidArgumentError('expected "METHOD:/path", e.g. "GET:/me".');
+  }
+  return [...previous, { method: match[1].toUpperCase(), path: match[2] }];
+};
+
+/**
+ * Merge access rules, dropping duplicates.
+ * @param {Array} rules - Access rules ({ method, path })
+ * @returns {Array} - Unique access rules
+ */
+const uniqueAccessRules = rules => rules.filter(({ method, path }, index) =>
+  rules.findIndex(rule => rule.method === method && rule.path === path) === index);
+
+/**
+ * Set a variable in the env file of the active profile, keeping the other lines.
+ * @param {string} key - Variable name
+ * @param {string} value - Variable value
+ * @returns {Promise<string>} - Path of the updated file
+ */
+const writeProfileValue = async (key, value) => {
+  const path = profilePath(activeProfile);
+  let content = '';
+  try {
+    content = await fs.readFile(path, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const line = `${key}=${value}`;
+  const pattern = new RegExp(`^${key}=.*$`, 'm');
+  if (pattern.test(content)) {
+    content = content.replace(pattern, line);
+  } else {
+    content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`;
+  }
+  await fs.writeFile(path, content, { mode: 0o600 });
+  return path;
+};
+
+const sleep = ms => new Promise(resolve => { setTimeout(resolve, ms); });
+
+/**
+ * Open a URL in the default browser, ignoring failures (the URL is printed anyway).
+ * @param {string} url - URL to open
+ */
+const openUrl = (url) => {
+  const commands = { darwin: ['open', [url]], win32: ['cmd', ['/c', 'start', '', url]] };
+  const [command, args] = commands[process.platform] || ['xdg-open', [url]];
+  try {
+    spawn(command, args, { stdio: 'ignore', detached: true }).on('error', () => {}).unref();
+  } catch {
+    // The URL has been printed, the user can open it manually
+  }
+};
+
+/**
+ * Poll /me with the current consumer key until it has been validated.
+ * Only the 403 of a key pending validation is retried, other errors are thrown.
+ * @param {number} timeout - Maximum waiting time in milliseconds
+ * @param {number} interval - Delay between two attempts in milliseconds
+ * @returns {Promise<Object>} - The /me response once validated
+ * @throws {Error} - If the key is not validated before the timeout, or /me fails otherwise
+ */
+const waitForValidation = async (timeout, interval = 3000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      return await getMe();
+    } catch (err) {
+      if (err.status !== 403 || !/credential is not valid|not validated/i.test(err.apiMessage || '')) {
+        throw err;
+      }
+      await sleep(interval);
+    }
+  }
+  throw new Error('Consumer key not validated in time; run "ovh auth login" again.');
+};
+
+let schemaCache;
+
+/**
+ * Load an API schema description, from the local schema cache unless stale.
+ * @param {string} apiPath - "/" for the index of APIs, or an API path such as "/domain"
+ * @returns {Promise<Object>} - Schema ({ apis: [...] })
+ * @throws {Error} - If the schema cannot be downloaded
+ */
+const getApiSchema = async (apiPath) => {
+  if (!schemaCache) {
+    schemaCache = await fs.readFile(schemaCachePath, 'utf-8').then(JSON.parse).catch(() => ({}));
+  }
+  const schemas = schemaCache[endpoint] || (schemaCache[endpoint] = {});
+  const entry = schemas[apiPath] || (schemas[apiPath] = {});
+  return cachedResource(entry, 'schema', async () => {
+    const url = `${apiBaseUrl()}${apiPath === '/' ? '/' : `${apiPath}.json`}`;
+    const response = await fetch(url).catch((err) => {
+      throw new Error(`Cannot load the API schema ${url} (${err.cause?.code || err.message}).`);
+    });
+    if (!response.ok) {
+      throw new Error(`Cannot load the API schema ${url} (HTTP ${response.status}).`);
+    }
+    entry.schema = await response.json();
+    markSynced(entry, 'schema');
+    await fs.writeFile(schemaCachePath, JSON.stringify(schemaCache));
+  });
+};
+
+/**
+ * Find the API a path belongs to, from the schema index.
+ * @param {string} path - API path, e.g. /email/domain/example.org/redirection
+ * @returns {Promise<string|undefined>} - API path, e.g. /email/domain
+ */
+const findApi = async (path) => {
+  const { apis } = await getApiSchema('/');
+  return apis.map(({ path: apiPath }) => apiPath)
+    .filter(apiPath => path === apiPath || path.startsWith(`${apiPath}/`))
+    .sort((a, b) => b.length - a.length)[0];
+};
+
+/**
+ * Find the schema of a call.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @returns {Promise<Object>} - Operation ({ httpMethod, description, parameters })
+ * @throws {Error} - If the path or the method is unknown
+ */
+const findApiOperation = async (method, path) => {
+  const apiPath = await findApi(path);
+  if (!apiPath) {
+    throw new Error(`Unknown API path ${path}; run "ovh api list" to see the available APIs.`);
+  }
+  const segments = path.split('/');
+  const [match] = (await getApiSchema(apiPath)).apis
+    .map(api => ({ api, template: api.path.split('/') }))
+    .filter(({ template }) => template.length === segments.length
+      && template.every((segment, index) => /^\{.+\}$/.test(segment) || segment === segments[index]))
+    .sort((a, b) => b.template.filter(segment => !segment.startsWith('{')).length
+      - a.template.filter(segment => !segment.startsWith('{')).length);
+  if (!match) {
+    throw new Error(`Unknown API path ${path}; run "ovh api list ${apiPath}" to see its operations.`);
+  }
+  const operation = match.api.operations.find(({ httpMethod }) => httpMethod === method);
+  if (!operation) {
+    const methods = match.api.operations.map(({ httpMethod }) => httpMethod).join(', ');
+    throw new Error(`${method} is not available on ${match.api.path} (available: ${methods}).`);
+  }
+  return operation;
+};
+
+/**
+ * Check call parameters against the schema of the operation.
+ * Operations taking a whole object as body only have their required fields unchecked.
+ * @param {Object} operation - Operation from findApiOperation
+ * @param {Object} params - Parameters
+ * @param {string} paramType - "body" or "query"
+ * @throws {Error} - If a parameter is unknown or a required one is missing
+ */
+const validateApiParams = (operation, params, paramType) => {
+  const declared = (operation.parameters || []).filter(parameter => parameter.paramType === paramType);
+  if (!declared.length || declared.some(({ name }) => !name)) {
+    return;
+  }
+  const unknown = Object.keys(params).filter(key => !declared.some(({ name }) => name === key));
+  if (unknown.length) {
+    const known = declared.map(({ name, required }) => (required ? `${name}*` : name)).join(', ');
+    throw new Error(`Unknown ${paramType} parameter(s) ${unknown.join(', ')} (expected: ${known}).`);
+  }
+  const missing = declared.filter(({ name, required }) => required && params[name] === undefined);
+  if (missing.length) {
+    throw new Error(`Missing required ${paramType} parameter(s): ${missing.map(({ name }) => name).join(', ')}.`);
+  }
+};
+
+/**
+ * Parse a --query option given as "key=value".
+ * @param {string} value - Option value
+ * @param {Object} previous - Parameters parsed so far (commander option accumulator)
+ * @returns {Object} - Parameters including the parsed one
+ */
+const parseQueryParam = (value, previous = {}) => {
+  const index = value.indexOf('=');
+  if (index < 1) {
+    throw new InvalidArgumentError('expected "key=value".');
+  }
+  return { ...previous, [value.slice(0, index)]: value.slice(index + 1) };
+};
+
+/**
+ * Read the --data option: inline JSON, @file, or @- for stdin.
+ * @param {string} data - Option value
+ * @returns {Promise<any>} - Parsed JSON
+ * @throws {Error} - If the JSON is invalid
+ */
+const readApiData = async (data) => {
+  let text = data;
+  if (data === '@-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    text = Buffer.concat(chunks).toString('utf-8');
+  } else if (data.startsWith('@')) {
+    text = await fs.readFile(data.slice(1), 'utf-8');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in --data: ${err.message}`);
+  }
+};
+
+/**
+ * Render an API response: arrays of objects with the output options, the rest as JSON
+ * (or YAML), arrays of plain values one per line in table and csv formats.
+ * @param {any} response - API response
+ * @param {string|Object} [options] - Format, or command options ({ format, columns, header, wide, field })
+ * @returns {string} - Rendered response
+ */
+const formatApiResponse = (response, options = {}) => {
+  const { format, field } = outputSettings(options);
+  const tabular = Array.isArray(response) && response.length
+    && response.every(item => item && typeof item === 'object' && !Array.isArray(item));
+  if (tabular) {
+    return formatOutput(response, options);
+  }
+  const value = field && response && typeof response === 'object' && !Array.isArray(response)
+    ? getField(response, field)
+    : response;
+  if (format === 'yaml') {
+    return YAML.stringify(value).trimEnd();
+  }
+  if (format === 'ndjson') {
+    return Array.isArray(value) ? value.map(item => JSON.stringify(item)).join('\n') : JSON.stringify(value);
+  }
+  if (['table', 'csv'].includes(format) && Array.isArray(value) && value.length && value.every(item => typeof item !== 'object')) {
+    return value.join('\n');
+  }
+  if (['table', 'csv'].includes(format) && field && (value === null || typeof value !== 'object')) {
+    return String(value ?? '');
   }
+  return JSON.stringify(value, null, 2);
+};
+
+/**
+ * Apply the inverse of a journaled change. The revert is itself recorded as a change.
+ * @param {Object} change - Change from a journal entry
+ * @returns {Promise<void>}
+ * @throws {Error} - If the resource to revert no longer exists
+ */
+const revertChange = async ({ type, action, domain: changeDomain, zone, before, after }) => {
+  if (type === 'redirection') {
+    const base = `/email/domain/${changeDomain}/redirection`;
+    if (action === 'create') {
+      const [id] = await ovhRequest('GET', base, { from: after.from, to: after.to });
+      if (!id) {
+        throw new Error(`redirection ${after.from} → ${after.to} no longer exists.`);
+      }
+      const current = await ovhRequest('GET', `${base}/${id}`);
+      await ovhRequest('DELETE', `${base}/${id}`);
+      recordChange({ type, action: 'delete', domain: changeDomain, before: current });
+    } else if (action === 'delete') {
+      await ovhRequest('POST', base, { from: before.from, to: before.to, localCopy: false });
+      recordChange({ type, action: 'create', domain: changeDomain, after: { from: before.from, to: before.to } });
+    } else {
+      await ovhRequest('POST', `${base}/${before.id}/changeRedirection`, { to: before.to });
+      recordChange({ type, action: 'update', domain: changeDomain, before: after, after: before });
+    }
+    return;
+  }
+
+  if (action === 'create') {
+    await deleteDnsRecord(zone, after.id);
+  } else if (action === 'delete') {
+    await createDnsRecord(zone, before);
+  } else {
+    const { subDomain, target, ttl } = before;
+    await updateDnsRecord(zone, before.id, { subDomain, target, ttl });
+  }
+};
+
+/**
+ * Command with the shared options of list commands.
+ */
+class OvhCommand extends Command {
+  createCommand(name) {
+    return new OvhCommand(name);
+  }
+
+  /**
+   * Add the output options: --format, --columns, --no-header, --wide and --field.
+   * @param {Array} [extraFormats] - Formats specific to this command
+   * @returns {OvhCommand} - This command, for chaining
+   */
+  outputOptions(extraFormats = []) {
+    return this
+      .addOption(new Option('-f, --format <format>', 'Output format (default: table on a terminal, else json, or $OVH_FORMAT)')
+        .choices([...outputFormats, ...extraFormats]))
+      .option('--columns <columns>', 'Comma-separated columns to show, in this order')
+      .option('--no-header', 'Omit the header row of table and csv output')
+      .option('--wide', 'Never truncate table cells')
+      .option('--field <path>', 'Only print this field of each row (dotted path, e.g. renew.automatic)');
+  }
+}
+
+const program = new OvhCommand();
+
+program
+  .name('ovh')
+  .description('OVH cli manager')
+  .option('-p, --profile <name>', 'Profile to use (default: $OVH_PROFILE or "default")')
+  .addOption(new Option('-e, --endpoint <endpoint>', 'API endpoint (default: ENDPOINT of the profile, or ovh-eu)')
+    .choices(Object.keys(apiEndpoints)))
+  .option('-d, --domain <domain>', 'Domain to work on (default: DOMAIN of the profile)')
+  .option('-n, --dry-run', 'Print mutating API calls (POST, PUT, DELETE) instead of sending them')
+  .option('-v, --verbose', 'Print method, path, status and timing of every API call on stderr')
+  .option('--offline', 'Only read from the cache, never call the API')
+  .option('--refresh', 'Sync cached redirections, DNS records and domains even if they are fresh')
+  .hook('preAction', () => {
+    try {
+      loadProfile(program.opts());
+    } catch (err) {
+      program.error(err.message);
+    }
+  })
+  .hook('postAction', () => writeJournal());
+
+const auth = program
+  .command('auth')
+  .description('Manage API credentials');
+
+auth
+  .command('login', { isDefault: true })
+  .description('Request a consumer key, wait for its validation and save it into the active profile')
+  .addOption(new Option('--preset <preset...>', 'Access rule presets to request (default: full)')
+    .choices(Object.keys(accessRulePresets)))
+  .option('--rule <METHOD:/path>', 'Additional access rule, may be repeated', parseAccessRule)
+  .option('--open', 'Open the validation URL in the browser')
+  .option('--timeout <seconds>', 'Maximum time to wait for the validation', '300')
+  .option('--no-save', 'Do not write CONSUMER_KEY into the profile')
+  .action(async ({ preset, rule = [], open, timeout, save }) => {
+    try {
+      if (!process.env.APP_KEY || !process.env.APP_SECRET) {
+        console.error(`Missing APP_KEY or APP_SECRET: create application tokens at ${endpointUrl('/createToken/')}`);
+        process.exitCode = exitCodes.auth;
+        return;
+      }
+      const presets = preset || (rule.length ? [] : ['full']);
+      const rules = uniqueAccessRules([...presets.flatMap(name => accessRulePresets[name]), ...rule]);
+      const credential = await ovhRequest('POST', '/auth/credential', { accessRules: rules });
+      if (!credential) {
+        await afterMutation(() => {});
+        return;
+      }
+      const { consumerKey, validationUrl } = credential;
+
+      console.log('Requested access rules:');
+      rules.forEach(({ method, path }) => console.log(`  ${method.padEnd(6)} ${path}`));
+      console.log(`\nValidate the consumer key at:\n  ${chalk.cyan(validationUrl)}\n`);
+      if (open) {
+        openUrl(validationUrl);
+      }
+
+      // Use the new key from now on, and wait until /me accepts it
+      process.env.CONSUMER_KEY = consumerKey;
+      ovh = undefined;
+      console.log('Waiting for validation...');
+      const me = await waitForValidation(Number(timeout) * 1000);
+      console.log(`Consumer key validated for ${me.nichandle}.`);
+
+      if (save) {
+        const path = await writeProfileValue('CONSUMER_KEY', consumerKey);
+        console.log(`CONSUMER_KEY saved into ${path}.`);
+      } else {
+        console.log(`CONSUMER_KEY=${consumerKey}`);
+      }
+    } catch (err) {
+      reportError('Failed to log in', err);
+    }
+  });
+
+auth
+  .command('list')
+  .description('List the API credentials of the account')
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      const [credentialIds, current] = await Promise.all([
+        ovhRequest('GET', '/me/api/credential'),
+        ovhRequest('GET', '/auth/currentCredential').catch(() => ({})),
+      ]);
+      if (!credentialIds || credentialIds.length === 0) {
+        console.log('No credentials found.');
+        return;
+      }
+      const credentials = await mapLimited(credentialIds, async (credentialId) => {
+        const credential = await ovhRequest('GET', `/me/api/credential/${credentialId}`);
+        return {
+          id: credentialId,
+          current: credentialId === current.credentialId ? 'yes' : 'no',
+          applicationId: credential.applicationId || null,
+          status: credential.status || null,
+          creation: credential.creation || null,
+          lastUse: credential.lastUse || null,
+          expiration: credential.expiration || null,
+          rules: (credential.rules || []).map(({ method, path }) => `${method} ${path}`).join(', '),
+        };
+      });
+      printOutput(credentials, options);
+    } catch (err) {
+      reportError('Failed to list credentials', err);
+    }
+  });
+
+auth
+  .command('revoke <credentialIds...>')
+  .description('Revoke API credentials')
+  .option('-y, --yes', 'Revoke without asking for confirmation')
+  .action(async (credentialIds, { yes }) => {
+    try {
+      const ids = credentialIds.map(id => validateCliArg(id, 'id'));
+      const current = await ovhRequest('GET', '/auth/currentCredential').catch(() => ({}));
+      if (ids.includes(String(current.credentialId))) {
+        console.log(chalk.yellow(`Credential ${current.credentialId} is the one in use: this tool will stop working with it.`));
+      }
+      if (!yes && !dryRun && !await confirm(`Revoke ${ids.length} credential(s)?`)) {
+        console.log('Aborted, nothing was revoked.');
+        return;
+      }
+      for await (const id of ids) {
+        try {
+          await ovhRequest('DELETE', `/me/api/credential/${id}`);
+          if (!dryRun) {
+            console.log(`Credential ${id} revoked.`);
+          }
+        } catch (err) {
+          reportError(`Failed to revoke credential ${id}`, err);
+        }
+      }
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to revoke credentials', err);
+    }
+  });
+
+const redir = program
+  .command('redir')
+  .description('Manage redirections')
+  .hook('preAction', (_redir, actionCommand) => {
+    try {
+      if (!actionCommand.opts().allDomains) {
+        requireDomain();
+      }
+    } catch (err) {
+      program.error(err.message);
+    }
+  });
+
+redir
+  .command('list')
+  .description('List all cached redirections')
+  .option('-u, --update', 'Update before displaying redirections')
+  .option('--no-spam', 'Hide spam redirections')
+  .option('-b, --banned-only', 'Only list banned aliases, with their target from before the ban')
+  .option('-a, --all-domains', 'List cached redirections of every domain')
+  .outputOptions()
+  .option('-s, --sort <column>', 'Sort by column: from, to, or id (default: from)')
+  .option('-r, --reverse', 'Reverse sort order')
+  .option('-q, --search <query>', 'Filter results by search query (id, from, to, note, tags, site)')
+  .option('-t, --tag <tag>', 'Only list aliases with this tag')
+  .option('--show-notes', 'Add the site, tags, note and creation date of each alias')
+  .action(async ({ update, spam, bannedOnly, allDomains, sort, reverse, search, tag, showNotes, ...options }) => {
+    try {
+      if (update) {
+        const domains = allDomains ? await ovhRequest('GET', '/email/domain') : [domain];
+        for await (const name of domains) {
+          await updateRedirections(name, { full: refresh });
+        }
+      } else if (allDomains) {
+        const synced = Object.entries(endpointCache())
+          .filter(([, entry]) => entry.syncedAt?.redirections || entry.redirections?.length)
+          .map(([name]) => name);
+        for await (const name of synced) {
+          await getRedirections(name);
+        }
+      } else {
+        await getRedirections();
+      }
+    } catch (err) {
+      reportError('Failed to sync redirections', err);
+    }
+    let results = allDomains
+      ? Object.entries(endpointCache()).flatMap(([name, { redirections = [] }]) =>
+        redirections.map(redirection => ({ domain: name, ...redirection })))
+      : domainRedirections();
+    // Apply spam filter: hidden by default, --no-spam sets spam to false and lists them too
+    if (spam && !bannedOnly) {
+      results = results.filter(({ domain: redirDomain = domain, to }) => to !== spamAddress(redirDomain));
+    }
+    if (bannedOnly) {
+      results = results
+        .filter(({ domain: redirDomain = domain, to }) => to === spamAddress(redirDomain))
+        .map(redirection => ({ ...redirection, bannedFrom: [].concat(aliasMetadata(redirection.from).bannedFrom || []) }));
+    }
+    // Apply search filter
+    if (search) {
+      results = filterRedirections(results, search);
+    }
+    if (tag) {
+      results = results.filter(({ from }) => (aliasMetadata(from).tags || []).includes(tag));
+    }
+    // Apply sorting
+    const sortOrder = reverse ? 'desc' : 'asc';
+    results = sortRedirections(results, sort || 'from', sortOrder);
+    if (showNotes) {
+      results = results.map((redirection) => {
+        const { site = null, tags = [], note = null, createdAt = null } = aliasMetadata(redirection.from);
+        return { ...redirection, site, tags, note, createdAt };
+      });
+    }
+    // Temporary aliases show their remaining lifetime
+    if (results.some(({ from }) => aliasMetadata(from).expiresAt)) {
+      results = results.map((redirection) => {
+        const { expiresAt } = aliasMetadata(redirection.from);
+        return { ...redirection, expiresIn: expiresAt ? formatRemaining(expiresAt) : null };
+      });
+    }
+    // Display results
+    listRedirections(results, options);
+  });
+
+redir
+  .command('update')
+  .description('Update cached redirections')
+  .action(async () => {
+    try {
+      await updateRedirections(domain, { full: refresh });
+    } catch (err) {
+      reportError('Failed to update redirections', err);
+    }
+  });
+
+redir
+  .command('ban <localPart...>')
+  .description('Redirect aliases to the spam sink (SPAM_TO, default spam@domain), remembering their target for "redir unban"')
+  .action(async localParts => {
+    try {
+      await getRedirections();
+    } catch (err) {
+      reportError('Failed to sync redirections', err);
+      return;
+    }
+    for await (const localPart of localParts) {
+      try {
+        const from = validateCliArg(localPart, 'localOrEmail');
+        const address = from.includes('@') ? from : `${from}@${domain}`;
+        if (!await banRedir(address)) {
+          console.log(`${address} is already banned.`);
+        } else if (!dryRun) {
+          console.log(`${address} banned.`);
+        }
+      } catch (err) {
+        reportError(`Failed to ban "${localPart}"`, err);
+      }
+    }
+    await afterMutation();
+  });
+
+redir
+  .command('unban <localPart...>')
+  .description('Give banned aliases their target from before "redir ban" back')
+  .action(async localParts => {
+    try {
+      await getRedirections();
+    } catch (err) {
+      reportError('Failed to sync redirections', err);
+      return;
+    }
+    for await (const localPart of localParts) {
+      try {
+        const from = validateCliArg(localPart, 'localOrEmail');
+        const address = from.includes('@') ? from : `${from}@${domain}`;
+        const targets = await unbanRedir(address);
+        if (!dryRun) {
+          console.log(`${address} unbanned, redirected to ${targets.join(', ')} again.`);
+        }
+      } catch (err) {
+        reportError(`Failed to unban "${localPart}"`, err);
+      }
+    }
+    await afterMutation();
+  });
+
+redir
+  .command('create')
+  .description('Create a new redirection')
+  .argument('<from>')
+  .argument('[to]')
+  .option('--note <text>', 'Why the alias exists')
+  .option('-t, --tag <tags...>', 'Tags of the alias')
+  .option('--site <site>', 'Site the alias was given to (default: the local part, without [to])')
+  .option('--expires <duration>', 'Lifetime of a temporary alias (e.g. 7d, 12h), removed by "ovh redir prune"')
+  .option('--random', 'Use <from> as the site name of an unguessable alias generated from the pattern')
+  .option('--pattern <pattern>', 'Pattern of --random aliases, with {{alias}} and {{random}} (default: $RANDOM_ALIAS_PATTERN or {{alias}}.{{random}})')
+  .action(async (from, to, { note, tag, site, expires, random, pattern }) => {
+    try {
+      const name = validateCliArg(from, 'localOrEmail');
+      if (random && name.includes('@')) {
+        throw new Error('--random takes a site name as <from>, not an address.');
+      }
+      const fromSanitized = random ? randomLocalPart(name, pattern) : name;
+      const toSanitized = to ? validateCliArg(to, 'email') : undefined;
+      const expiresAt = expires ? new Date(Date.now() + parseDuration(expires)).toISOString() : undefined;
+      const metadata = Object.fromEntries(Object.entries({
+        note,
+        tags: tag,
+        site: site || (random ? name : undefined),
+        expiresAt,
+      }).filter(([, value]) => value));
+      if (toSanitized) {
+        await createRedir(fromSanitized, toSanitized, metadata);
+      } else {
+        await createDefaultRedir(fromSanitized, metadata);
+      }
+      if (random || expiresAt) {
+        const address = fromSanitized.includes('@') ? fromSanitized : `${fromSanitized}@${domain}`;
+        console.log(`${dryRun ? 'Would create' : 'Created'} ${address}${expiresAt ? `, expires ${expiresAt}` : ''}.`);
+      }
+      await afterMutation();
+    } catch (err) {
+      reportError(err instanceof OvhApiError ? 'Failed to create redirection' : 'Invalid argument', err);
+    }
+  });
+
+redir
+  .command('delete')
+  .description('Delete an existing redirection')
+  .argument('<from...>')
+  .action(async items => {
+    try {
+      for await (const item of items) {
+        try {
+          const isId = Number(item).toString() === item;
+          const sanitized = isId
+          ? validateCliArg(item, 'id')
+          : validateCliArg(item, 'localOrEmail');
+          const redirId = isId ? sanitized : redirByFrom(sanitized).id;
+          if (!redirId) {
+            throw new Error(`No redirection found for "${item}".`);
+          }
+          await deleteRedir(redirId);
+        } catch (err) {
+          reportError(`Failed to delete "${item}"`, err);
+        }
+      }
+      await afterMutation();
+    } catch (err) {
+      reportError('Unexpected error', err);
+    }
+  });
+
+redir
+  .command('modify')
+  .description('Modify the destination of an existing redirection')
+  .argument('<source>')
+  .argument('<newTo>')
+  .action(async (source, newTo) => {
+    try {
+      // Determine if source is an ID or email/local part
+      const isId = Number(source).toString() === source;
+      const sanitizedSource = isId
+        ? validateCliArg(source, 'id')
+        : validateCliArg(source, 'localOrEmail');
+      const sanitizedTo = validateCliArg(newTo, 'email');
+
+      // Find the redirection ID
+      const redirId = isId ? sanitizedSource : redirByFrom(sanitizedSource).id;
+
+      if (!redirId) {
+        console.error(`No redirection found for "${source}".`);
+        process.exitCode = exitCodes.notFound;
+        return;
+      }
+
+      // Perform the modification
+      await changeRedir(redirId, sanitizedTo);
+
+      // Update cache
+      await afterMutation(async () => {
+        console.log(`Redirection modified: ID ${redirId} → ${sanitizedTo}`);
+        await updateRedirections();
+      });
+    } catch (err) {
+      reportError('Failed to modify redirection', err);
+    }
+  });
+
+redir
+  .command('annotate')
+  .description('Show or edit the note, tags and site of an alias (kept locally)')
+  .argument('<alias>', 'Local part or address of a cached redirection')
+  .option('--note <text>', 'Set the note, "" to remove it')
+  .option('-t, --tag <tags...>', 'Add tags')
+  .option('--untag <tags...>', 'Remove tags')
+  .option('--site <site>', 'Set the site the alias was given to, "" to remove it')
+  .action(async (alias, { note, tag = [], untag = [], site }) => {
+    try {
+      const redirection = redirByFrom(validateCliArg(alias, 'localOrEmail'));
+      if (!redirection.from) {
+        throw new Error(`No redirection found for "${alias}", run "ovh redir update" if it is new.`);
+      }
+      const current = aliasMetadata(redirection.from);
+      const metadata = note === undefined && site === undefined && !tag.length && !untag.length
+        ? current
+        : await setAliasMetadata(redirection.from, {
+          note,
+          site,
+          tags: [...new Set([...(current.tags || []), ...tag])].filter(item => !untag.includes(item)),
+        });
+      const { site: aliasSite = null, tags = [], note: aliasNote = null, createdAt = null } = metadata;
+      listRedirections([{ ...redirection, site: aliasSite, tags, note: aliasNote, createdAt }], 'table');
+    } catch (err) {
+      reportError('Failed to annotate redirection', err);
+    }
+  });
+
+redir
+  .command('prune')
+  .description('Delete the temporary aliases whose lifetime is over (prints nothing when none is, for cron)')
+  .option('--ban', 'Redirect expired aliases to the spam sink instead of deleting them')
+  .action(async ({ ban }) => {
+    try {
+      const now = Date.now();
+      // An alias may have several targets, all removed together
+      const byFrom = new Map();
+      (await getRedirections()).forEach((redirection) => {
+        byFrom.set(redirection.from, [...(byFrom.get(redirection.from) || []), redirection]);
+      });
+      const expired = [...byFrom]
+        .filter(([from]) => aliasMetadata(from).expiresAt && new Date(aliasMetadata(from).expiresAt) <= now);
+      if (!expired.length) {
+        return;
+      }
+      for await (const [from, redirections] of expired) {
+        try {
+          const { expiresAt } = aliasMetadata(from);
+          if (ban) {
+            await banRedir(from);
+            if (!dryRun) {
+              await setAliasMetadata(from, { expiresAt: null });
+            }
+          } else {
+            await deleteRedir(...redirections.map(({ id }) => id));
+          }
+          console.log(`${from} expired on ${expiresAt}: ${dryRun ? 'would be ' : ''}${ban ? 'banned' : 'deleted'}.`);
+        } catch (err) {
+          reportError(`Failed to prune ${from}`, err);
+        }
+      }
+      await afterMutation(() => updateRedirections(domain, { quiet: true }));
+    } catch (err) {
+      reportError('Failed to prune expired aliases', err);
+    }
+  });
+
+redir
+  .command('export')
+  .description('Export the redirections with their metadata, for "ovh redir import"')
+  .addOption(new Option('-f, --format <format>', 'Export format').choices(['csv', 'json']).default('csv'))
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async ({ format, output }) => {
+    try {
+      const rows = exportRedirections(await getRedirections());
+      const text = format === 'csv'
+        ? formatOutput(rows.map(row => ({ ...row, tags: row.tags.join(';') })), 'csv', exportColumns)
+        : formatOutput(rows, 'json');
+      if (output) {
+        await fs.writeFile(output, `${text}\n`);
+        console.log(`${rows.length} redirection(s) exported to ${output}.`);
+      } else {
+        console.log(text);
+      }
+    } catch (err) {
+      reportError('Failed to export redirections', err);
+    }
+  });
+
+redir
+  .command('import <file>')
+  .description('Create the redirections of a CSV or JSON file written by "ovh redir export" (aliases of another domain are moved to this one)')
+  .action(async (file) => {
+    try {
+      const rows = await readRedirectionFile(file);
+      const untargeted = rows.filter(({ to }) => !to).map(({ line }) => line);
+      if (untargeted.length && !process.env.DEFAULT_TO) {
+        throw new Error(`Line(s) ${untargeted.join(', ')}: no destination and DEFAULT_TO not set.`);
+      }
+      // An alias may have several targets: a row is a duplicate only if both addresses match
+      const key = (from, to) => `${from.toLowerCase()}\u0000${to.toLowerCase()}`;
+      const existing = new Set((await getRedirections()).map(({ from, to }) => key(from, to)));
+      const report = { created: [], skipped: [], failed: [] };
+      const progress = index => process.stderr.isTTY && process.stderr.write(`\rImporting ${index}/${rows.length}`);
+      for await (const [index, { line, from = '', to, site, tags, note, createdAt, expiresAt }] of rows.entries()) {
+        progress(index + 1);
+        try {
+          const localPart = validateCliArg(String(from), 'localOrEmail').split('@')[0];
+          const address = `${localPart}@${domain}`;
+          const target = to
+            ? validateCliArg(String(to), 'email')
+            : process.env.DEFAULT_TO.replace(/\{\{alias\}\}/g, localPart);
+          if (existing.has(key(address, target))) {
+            report.skipped.push({ line, from: address, reason: 'already exists' });
+            continue;
+          }
+          if (expiresAt && new Date(expiresAt) <= Date.now()) {
+            report.skipped.push({ line, from: address, reason: `expired on ${expiresAt}` });
+            continue;
+          }
+          const metadata = Object.fromEntries(Object.entries({ site, tags, note, createdAt, expiresAt })
+            .filter(([, value]) => value && !(Array.isArray(value) && !value.length)));
+          if (to) {
+            await createRedir(address, target, metadata);
+          } else {
+            await createDefaultRedir(localPart, metadata);
+          }
+          existing.add(key(address, target));
+          report.created.push({ line, from: address });
+        } catch (err) {
+          report.failed.push({ line, from, err });
+        }
+      }
+      if (process.stderr.isTTY && rows.length) {
+        process.stderr.write('\n');
+      }
+      await afterMutation(() => updateRedirections(domain, { quiet: true }));
+      console.log(`${report.created.length} ${dryRun ? 'to create' : 'created'}, ${report.skipped.length} skipped, ${report.failed.length} failed.`);
+      report.skipped.forEach(({ line, from, reason }) => console.log(chalk.gray(`  Line ${line}: skipped ${from}, ${reason}.`)));
+      report.failed.forEach(({ line, from, err }) => reportError(`  Line ${line}: failed to create "${from}"`, err));
+    } catch (err) {
+      reportError('Failed to import redirections', err);
+    }
+  });
+
+redir
+  .command('plan <manifest>')
+  .description('Show the changes needed to match a YAML or JSON redirection manifest')
+  .option('--prune', 'Also delete redirections absent from the manifest')
+  .action(async (manifest, { prune }) => {
+    try {
+      const desired = await loadRedirManifest(manifest);
+      await updateRedirections(domain, { quiet: true });
+      console.log(formatRedirPlan(planRedirChanges(domainRedirections(), desired, prune)));
+    } catch (err) {
+      reportError('Failed to plan redirections', err);
+    }
+  });
+
+redir
+  .command('apply <manifest>')
+  .description('Create, change or delete redirections to match a YAML or JSON manifest')
+  .option('--prune', 'Also delete redirections absent from the manifest')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .action(async (manifest, { prune, yes }) => {
+    try {
+      const desired = await loadRedirManifest(manifest);
+      await updateRedirections(domain, { quiet: true });
+      // changeRedir updates the cached redirections, keep their targets for the ban records
+      const current = domainRedirections().map(({ from, to }) => ({ from, to }));
+      const plan = planRedirChanges(domainRedirections(), desired, prune);
+      console.log(formatRedirPlan(plan));
+
+      const { creates, changes, deletes } = plan;
+      if (!creates.length && !changes.length && !deletes.length) {
+        console.log('Redirections are up to date.');
+        return;
+      }
+      if (!yes && !dryRun && !await confirm(`Apply these changes to ${domain}?`)) {
+        console.log('Aborted, nothing was changed.');
+        return;
+      }
 
-  // Check if it's a numeric ID (not a handle like 'mb135-ovh')
-  if (/^\d+$/.test(contactId)) {
+      await applyRedirPlan(plan);
+      if (!dryRun) {
+        await recordManifestBans(current, desired);
+      }
+      await afterMutation(() => updateRedirections(domain, { quiet: true }));
+    } catch (err) {
+      reportError('Failed to apply redirections', err);
+    }
+  });
+
+redir
+  .command('doctor')
+  .description('Look for loops, chains, duplicates and dangling aliases in the cached redirections')
+  .option('--fix', 'Offer a plan fixing what can be fixed, and apply it')
+  .option('-y, --yes', 'Apply the fixes without asking for confirmation')
+  .option('-f, --format <format>', 'Output format: text or json (default: text)')
+  .action(async ({ fix, yes, format }) => {
     try {
-      const contactInfo = await ovhRequest('GET', `/me/contact/${contactId}`);
-      if (contactInfo.firstName && contactInfo.lastName) {
-        return `${contactInfo.firstName} ${contactInfo.lastName} (${contactId})`;
+      const redirections = await getRedirections();
+      if (!redirections.length) {
+        console.log('No redirections found.');
+        return;
       }
-      return contactId;
-    } catch {
-      // If fetch fails, return the ID
-      return contactId;
+      // Without the mailbox list every alias to a mailbox would look dangling: abort instead
+      const [accounts, lists] = await Promise.all([
+        ovhRequest('GET', `/email/domain/${domain}/account`),
+        ovhRequest('GET', `/email/domain/${domain}/mailingList`),
+      ]);
+      const localBoxes = [...accounts, ...lists].map(name => `${name}@${domain}`);
+      const { plan, ...findings } = diagnoseRedirections(redirections, localBoxes, domain);
+      const problems = Object.values(findings).reduce((total, items) => total + items.length, 0);
+
+      if (format === 'json') {
+        console.log(JSON.stringify({ ...findings, plan }, null, 2));
+      } else {
+        const sections = [
+          ['Loops', findings.loops.map(path => path.join(' → '))],
+          ['Chains', findings.chains.map(({ from, to, mailbox }) =>
+            `${from} → ${to}${mailbox ? chalk.gray(' (intermediate mailbox, kept)') : ''}`)],
+          ['Aliases defined more than once', findings.duplicates.map(({ from, to }) => `${from} → ${to.join(', ')}`)],
+          ['Dangling local targets', findings.dangling.map(({ from, to }) => `${from} → ${to}`)],
+          ['Banned and forwarded', findings.conflicts.map(({ from, to }) => `${from} → ${spamAddress()}, ${to.join(', ')}`)],
+        ];
+        sections.forEach(([title, lines]) => {
+          console.log(`${lines.length ? chalk.yellow(title) : title}: ${lines.length}`);
+          lines.forEach(line => console.log(`  ${line}`));
+        });
+        console.log(problems ? `\n${problems} problem(s) found.` : '\nNo problems found.');
+      }
+
+      const { creates, changes, deletes } = plan;
+      const fixable = creates.length + changes.length + deletes.length;
+      if (!fix) {
+        if (fixable && format !== 'json') {
+          console.log(chalk.gray('Use --fix to review and apply the proposed fixes.'));
+        }
+        if (problems) process.exitCode = 1;
+        return;
+      }
+      if (!fixable) {
+        console.log('Nothing can be fixed automatically.');
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`\n${formatRedirPlan(plan)}`);
+      if (!yes && !dryRun && !await confirm(`Apply these fixes to ${domain}?`)) {
+        console.log('Aborted, nothing was changed.');
+        process.exitCode = 1;
+        return;
+      }
+      await applyRedirPlan(plan);
+      await afterMutation();
+    } catch (err) {
+      reportError('Failed to check redirections', err);
     }
-  }
+  });
 
-  // Return account handles as-is
-  return contactId;
-};
+redir
+  .command('tui')
+  .description('Browse, search and edit the cached redirections in a full-screen view')
+  .action(async () => {
+    try {
+      await runRedirTui();
+      if (dryRunCalls.length) {
+        await afterMutation(() => {});
+      }
+    } catch (err) {
+      reportError('Failed to run the redirection browser', err);
+    }
+  });
 
-const createRedir = async (from, to) => {
-  if (from && to) {
-    const response = await ovhRequest(
-      'POST',
-      `/email/domain/${domain}/redirection`,
-      { from, to, localCopy: false },
-    );
-    console.log(response);
-  }
-};
+const profileCmd = program
+  .command('profile')
+  .description('Manage configuration profiles');
 
-const createDefaultRedir = str => createRedir(
-  `${str}@${domain}`,
-  process.env.DEFAULT_TO.replace(/\{\{alias\}\}/g, str),
+profileCmd
+  .command('list')
+  .description('List configuration profiles (.env.local and .env.<name>.local)')
+  .outputOptions()
+  .action(async (options) => {
+    const profiles = await Promise.all((await profileNames()).map(async (name) => {
+      const file = basename(profilePath(name));
+      const config = dotenv.parse(await fs.readFile(profilePath(name), 'utf-8'));
+      return {
+        name,
+        active: name === activeProfile ? 'yes' : 'no',
+        domain: config.DOMAIN || null,
+        file,
+      };
+    }));
+    if (profiles.length === 0) {
+      console.log(`No profiles found, create ${profilePath('default')} from .env.dist.`);
+      return;
+    }
+    printOutput(profiles, options);
+  });
 
-);
+program
+  .command('history [entryId]')
+  .description('List the journal of mutating commands, or show one entry')
+  .outputOptions()
+  .option('-l, --limit <count>', 'Number of entries to list, newest first', '20')
+  .action(async (entryId, { limit, ...options }) => {
+    try {
+      const entries = await readJournal();
+      if (entryId) {
+        const id = Number(validateCliArg(entryId, 'id'));
+        const entry = entries.find(item => item.id === id);
+        if (!entry) {
+          console.error(`No journal entry #${id}.`);
+          process.exitCode = exitCodes.notFound;
+          return;
+        }
+        console.log(maskSecretsInLog(entry));
+        return;
+      }
+      if (!entries.length) {
+        console.log('The journal is empty.');
+        return;
+      }
+      const undoneBy = Object.fromEntries(entries.filter(({ undoOf }) => undoOf).map(({ id, undoOf }) => [undoOf, id]));
+      const rows = entries.slice(-Number(limit)).reverse().map(({ id, timestamp, endpoint: entryEndpoint, command, calls, changes, undoOf }) => ({
+        id,
+        date: timestamp,
+        endpoint: entryEndpoint,
+        command,
+        calls: calls.length,
+        changes: changes.length,
+        status: [undoOf && `undo of #${undoOf}`, undoneBy[id] && `undone by #${undoneBy[id]}`].filter(Boolean).join(', ') || null,
+      }));
+      printOutput(rows, options);
+    } catch (err) {
+      reportError('Failed to read the journal', err);
+    }
+  });
+
+program
+  .command('undo [entryId]')
+  .description('Revert a journal entry (default: the latest one not undone yet)')
+  .option('-y, --yes', 'Revert without asking for confirmation')
+  .action(async (entryId, { yes }) => {
+    try {
+      const entries = await readJournal();
+      const undone = new Set(entries.map(({ undoOf }) => undoOf).filter(Boolean));
+      const entry = entryId
+        ? entries.find(({ id }) => id === Number(validateCliArg(entryId, 'id')))
+        : [...entries].reverse().find(({ id, undoOf, changes }) => changes.length && !undoOf && !undone.has(id));
+      if (!entry) {
+        console.error(entryId ? `No journal entry #${entryId}.` : 'Nothing to undo.');
+        process.exitCode = entryId ? exitCodes.notFound : exitCodes.error;
+        return;
+      }
+      if (!entry.changes.length) {
+        console.error(`Entry #${entry.id} (${entry.command}) has no reversible change.`);
+        process.exitCode = exitCodes.error;
+        return;
+      }
+      if (undone.has(entry.id)) {
+        console.error(`Entry #${entry.id} has already been undone.`);
+        process.exitCode = exitCodes.error;
+        return;
+      }
+      if (entry.endpoint !== endpoint) {
+        console.error(`Entry #${entry.id} was made on ${entry.endpoint}, run undo with --endpoint ${entry.endpoint}.`);
+        process.exitCode = exitCodes.error;
+        return;
+      }
+
+      console.log(`Reverting #${entry.id} (${entry.timestamp}): ${entry.command}`);
+      entry.changes.forEach(({ type, action, domain: changeDomain, zone, before, after }) => {
+        const resource = type === 'redirection'
+          ? `${(before || after).from} → ${(before || after).to}`
+          : `${zone}: ${(before || after).subDomain || '@'} ${(before || after).fieldType} ${(before || after).target}`;
+        console.log(`  ${action} ${type} ${resource}${changeDomain ? ` (${changeDomain})` : ''}`);
+      });
+      if (!yes && !dryRun && !await confirm('Revert these changes?')) {
+        console.log('Aborted, nothing was changed.');
+        return;
+      }
 
-const program = new Command();
+      journal.undoOf = entry.id;
+      for await (const change of [...entry.changes].reverse()) {
+        await revertChange(change);
+      }
+      const zones = [...new Set(entry.changes.filter(({ type }) => type === 'record').map(({ zone }) => zone))];
+      for await (const zone of zones) {
+        await refreshDnsZone(zone);
+      }
+      const domains = [...new Set(entry.changes.filter(({ type }) => type === 'redirection').map(({ domain: d }) => d))];
+      await afterMutation(async () => {
+        for await (const name of domains) {
+          await updateRedirections(name);
+        }
+        console.log(`Entry #${entry.id} reverted.`);
+      });
+    } catch (err) {
+      reportError('Failed to undo', err);
+    }
+  });
 
 program
-  .name('ovh')
-  .description('OVH cli manager');
+  .command('status')
+  .description('Account informations')
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      const me = await getMe();
+      // The table only shows the main fields, other formats the whole account
+      const columns = ['nichandle', 'firstname', 'name', 'email', 'country'].filter(key => key in me);
+      printOutput([me], options, { columns });
+    } catch (err) {
+      reportError('Failed to get account informations', err);
+    }
+  });
 
 program
-  .command('auth') // https://www.ovh.com/auth/api/createApp
-  .action(async () => console.log(await ovhRequest('POST', '/auth/credential', { accessRules })));
+  .command('quota')
+  .description('Quota and usage of the mailboxes')
+  .hook('preAction', () => {
+    try {
+      requireDomain();
+    } catch (err) {
+      program.error(err.message);
+    }
+  })
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      printOutput(await getMailboxes(), options, {
+        columns: ['account', 'quota', 'used', 'usage'],
+        empty: `No mailboxes found for ${domain}.`,
+      });
+    } catch (err) {
+      reportError('Failed to get mailbox quotas', err);
+    }
+  });
 
-const redir = program
-  .command('redir')
-  .description('Manage redirections');
+const mailbox = program
+  .command('mailbox')
+  .description('Manage email accounts (MX Plan mailboxes)')
+  .hook('preAction', () => {
+    try {
+      requireDomain();
+    } catch (err) {
+      program.error(err.message);
+    }
+  });
 
-redir
+mailbox
   .command('list')
-  .description('List all cached redirections')
-  .option('-u, --update', 'Update before displaying redirections')
-  .option('--no-spam', 'Hide spam redirections')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
-  .option('-s, --sort <column>', 'Sort by column: from, to, or id (default: from)')
-  .option('-r, --reverse', 'Reverse sort order')
-  .option('-q, --search <query>', 'Filter results by search query')
-  .action(async ({ update, spam, format, sort, reverse, search }) => {
-    if (update) {
-      await updateRedirections();
+  .description('List mailboxes with their quota and usage')
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      const mailboxes = await getMailboxes();
+      if (!mailboxes.length) {
+        console.log(`No mailboxes found for ${domain}.`);
+        return;
+      }
+      mailboxes.sort(({ account: a }, { account: b }) => a.localeCompare(b));
+      printOutput(mailboxes, options);
+    } catch (err) {
+      reportError('Failed to list mailboxes', err);
     }
-    let results = cache[domain].redirections;
-    // Apply spam filter
-    if (spam) {
-      results = results.filter(({ to }) => to !== `spam@${domain}`);
+  });
+
+mailbox
+  .command('create <accountName>')
+  .description('Create a mailbox; the password is prompted for, or read from stdin')
+  .option('--size <size>', 'Mailbox quota, in bytes or with a unit (e.g. 5G)')
+  .option('--description <text>', 'Account description')
+  .action(async (accountName, { size, description }) => {
+    try {
+      const name = toAccountName(accountName);
+      const password = await promptNewPassword();
+      await ovhRequest('POST', `/email/domain/${domain}/account`, {
+        accountName: name,
+        password,
+        description,
+        size: size === undefined ? undefined : parseSize(size),
+      });
+      await afterMutation(() => console.log(`Mailbox ${name}@${domain} created.`));
+    } catch (err) {
+      reportError('Failed to create mailbox', err);
     }
-    // Apply search filter
-    if (search) {
-      results = filterRedirections(results, search);
+  });
+
+mailbox
+  .command('delete <accountNames...>')
+  .description('Delete mailboxes and all their emails')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .action(async (accountNames, { yes }) => {
+    try {
+      const names = accountNames.map(toAccountName);
+      if (!yes && !dryRun && !await confirm(`Delete ${names.map(name => `${name}@${domain}`).join(', ')} and all their emails?`)) {
+        console.log('Aborted, nothing was deleted.');
+        return;
+      }
+      for await (const name of names) {
+        try {
+          await ovhRequest('DELETE', `/email/domain/${domain}/account/${name}`);
+          if (!dryRun) {
+            console.log(`Mailbox ${name}@${domain} deleted.`);
+          }
+        } catch (err) {
+          reportError(`Failed to delete mailbox "${name}"`, err);
+        }
+      }
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to delete mailboxes', err);
     }
-    // Apply sorting
-    const sortOrder = reverse ? 'desc' : 'asc';
-    results = sortRedirections(results, sort || 'from', sortOrder);
-    // Display results
-    listRedirections(results, format || 'table');
   });
 
-redir
-  .command('update')
-  .description('Update cached redirections')
-  .action(updateRedirections);
+mailbox
+  .command('password <accountName>')
+  .description('Change the password of a mailbox; the password is prompted for, or read from stdin')
+  .action(async (accountName) => {
+    try {
+      const name = toAccountName(accountName);
+      const password = await promptNewPassword();
+      await ovhRequest('POST', `/email/domain/${domain}/account/${name}/changePassword`, { password });
+      await afterMutation(() => console.log(`Password of ${name}@${domain} changed.`));
+    } catch (err) {
+      reportError('Failed to change password', err);
+    }
+  });
 
-redir
-  .command('ban <localPart...>')
-  .description(`Create redirections localPart@${domain} to spam@${domain}`)
-  .action(async localParts => {
-    for await (const localPart of localParts) {
-      await createRedir(`${localPart}@${domain}`, `spam@${domain}`);
+mailbox
+  .command('usage [accountNames...]')
+  .description('Refresh usage statistics of mailboxes (default: every mailbox)')
+  .outputOptions()
+  .action(async (accountNames, options) => {
+    try {
+      const names = accountNames.length
+        ? accountNames.map(toAccountName)
+        : await ovhRequest('GET', `/email/domain/${domain}/account`);
+      for await (const name of names) {
+        await ovhRequest('POST', `/email/domain/${domain}/account/${name}/updateUsage`);
+      }
+      if (dryRun) {
+        await afterMutation(() => {});
+        return;
+      }
+      console.log(`Usage refresh requested for ${names.length} mailbox(es); statistics may take a few minutes to update.`);
+      printOutput(await getMailboxes(names), options);
+    } catch (err) {
+      reportError('Failed to refresh usage', err);
     }
-    await updateRedirections();
   });
 
-redir
-  .command('create')
-  .description('Create a new redirection')
-  .argument('<from>')
-  .argument('[to]')
-  .action(async (from, to) => {
+const responder = program
+  .command('responder')
+  .description('Manage auto-responders of the email domain')
+  .hook('preAction', () => {
     try {
-      const fromSanitized = validateCliArg(from, 'localOrEmail');
-      const toSanitized = to ? validateCliArg(to, 'email') : undefined;
-      if (toSanitized) {
-        await createRedir(fromSanitized, toSanitized);
-      } else {
-        await createDefaultRedir(fromSanitized);
+      requireDomain();
+    } catch (err) {
+      program.error(err.message);
+    }
+  });
+
+responder
+  .command('list')
+  .description('List auto-responders')
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      const responders = await getResponders();
+      if (!responders.length) {
+        console.log(`No auto-responders found for ${domain}.`);
+        return;
       }
-      await updateRedirections();
+      printOutput(responders, options);
     } catch (err) {
-      console.error('Invalid argument:', err.message);
+      reportError('Failed to list auto-responders', err);
     }
   });
 
-redir
-  .command('delete')
-  .description('Delete an existing redirection')
-  .argument('<from...>')
-  .action(async items => {
+responder
+  .command('create <account>')
+  .description('Create an auto-responder for an account')
+  .option('-m, --message <text>', 'Message body')
+  .option('--message-file <file>', 'Read the message body from a file')
+  .option('--from <date>', 'Start date (YYYY-MM-DD or ISO 8601)')
+  .option('--to <date>', 'End date (YYYY-MM-DD or ISO 8601)')
+  .option('--copy-to <email>', 'Keep a copy of incoming emails at this address')
+  .action(async (account, options) => {
     try {
-      for await (const item of items) {
+      const name = toAccountName(account);
+      const fields = await responderFields(options);
+      if (!fields.content) {
+        throw new Error('A message is required: use --message or --message-file.');
+      }
+      await ovhRequest('POST', `/email/domain/${domain}/responder`, { account: name, copy: false, ...fields });
+      await afterMutation(() => console.log(`Auto-responder created for ${name}@${domain}.`));
+    } catch (err) {
+      reportError('Failed to create auto-responder', err);
+    }
+  });
+
+responder
+  .command('update <account>')
+  .description('Update the auto-responder of an account')
+  .option('-m, --message <text>', 'New message body')
+  .option('--message-file <file>', 'Read the new message body from a file')
+  .option('--from <date>', 'New start date (YYYY-MM-DD or ISO 8601)')
+  .option('--to <date>', 'New end date (YYYY-MM-DD or ISO 8601)')
+  .option('--copy-to <email>', 'Keep a copy of incoming emails at this address ("" to stop)')
+  .action(async (account, options) => {
+    try {
+      const name = toAccountName(account);
+      const fields = await responderFields(options);
+      if (!Object.keys(fields).length) {
+        throw new Error('Nothing to update: specify --message, --message-file, --from, --to or --copy-to.');
+      }
+      await ovhRequest('PUT', `/email/domain/${domain}/responder/${name}`, fields);
+      await afterMutation(() => console.log(`Auto-responder updated for ${name}@${domain}.`));
+    } catch (err) {
+      reportError('Failed to update auto-responder', err);
+    }
+  });
+
+responder
+  .command('delete <accounts...>')
+  .description('Delete auto-responders')
+  .action(async (accounts) => {
+    try {
+      for await (const name of accounts.map(toAccountName)) {
         try {
-          const isId = Number(item).toString() === item;
-          const sanitized = isId
-          ? validateCliArg(item, 'id')
-          : validateCliArg(item, 'localOrEmail');
-          await deleteRedir(isId ? sanitized : redirByFrom(sanitized).id);
+          await ovhRequest('DELETE', `/email/domain/${domain}/responder/${name}`);
+          if (!dryRun) {
+            console.log(`Auto-responder deleted for ${name}@${domain}.`);
+          }
         } catch (err) {
-          console.error(`Failed to delete "${item}":`, err.message);
+          reportError(`Failed to delete auto-responder "${name}"`, err);
         }
       }
-      await updateRedirections();
+      await afterMutation(() => {});
     } catch (err) {
-      console.error('Unexpected error:', err.message);
+      reportError('Failed to delete auto-responders', err);
     }
   });
 
-redir
-  .command('modify')
-  .description('Modify the destination of an existing redirection')
-  .argument('<source>')
-  .argument('<newTo>')
-  .action(async (source, newTo) => {
+const mlist = program
+  .command('mlist')
+  .description('Manage mailing lists of the email domain')
+  .hook('preAction', () => {
     try {
-      // Determine if source is an ID or email/local part
-      const isId = Number(source).toString() === source;
-      const sanitizedSource = isId
-        ? validateCliArg(source, 'id')
-        : validateCliArg(source, 'localOrEmail');
-      const sanitizedTo = validateCliArg(newTo, 'email');
-
-      // Find the redirection ID
-      const redirId = isId ? sanitizedSource : redirByFrom(sanitizedSource).id;
+      requireDomain();
+    } catch (err) {
+      program.error(err.message);
+    }
+  });
 
-      if (!redirId) {
-        console.error(`No redirection found for "${source}".`);
+mlist
+  .command('list')
+  .description('List mailing lists')
+  .outputOptions()
+  .action(async (options) => {
+    try {
+      const names = await ovhRequest('GET', `/email/domain/${domain}/mailingList`);
+      if (!names.length) {
+        console.log(`No mailing lists found for ${domain}.`);
         return;
       }
+      const lists = await mapLimited(names, async (name) => {
+        const list = await ovhRequest('GET', `/email/domain/${domain}/mailingList/${name}`);
+        return {
+          name: `${name}@${domain}`,
+          owner: list.ownerEmail || null,
+          replyTo: list.replyTo || null,
+          language: list.language || null,
+          subscribers: list.nbSubscribers ?? null,
+        };
+      });
+      printOutput(lists, options);
+    } catch (err) {
+      reportError('Failed to list mailing lists', err);
+    }
+  });
 
-      // Perform the modification
-      await changeRedir(redirId, sanitizedTo);
-      console.log(`Redirection modified: ID ${redirId} → ${sanitizedTo}`);
+mlist
+  .command('subscribers <list>')
+  .description('List subscribers of a mailing list')
+  .outputOptions()
+  .action(async (list, options) => {
+    try {
+      const subscribers = await getSubscribers(toAccountName(list));
+      if (!subscribers.length) {
+        console.log('No subscribers.');
+        return;
+      }
+      printOutput(subscribers.sort().map(email => ({ email })), options);
+    } catch (err) {
+      reportError('Failed to list subscribers', err);
+    }
+  });
 
-      // Update cache
-      await updateRedirections();
+mlist
+  .command('add <list> <emails...>')
+  .description('Subscribe addresses to a mailing list')
+  .action(async (list, emails) => {
+    try {
+      const name = toAccountName(list);
+      for await (const email of emails) {
+        try {
+          await ovhRequest('POST', `/email/domain/${domain}/mailingList/${name}/subscriber`, { email: validateCliArg(email, 'email') });
+          if (!dryRun) {
+            console.log(`${email} subscribed to ${name}@${domain}.`);
+          }
+        } catch (err) {
+          reportError(`Failed to subscribe "${email}"`, err);
+        }
+      }
+      await afterMutation(() => {});
     } catch (err) {
-      console.error('Failed to modify redirection:', err.message);
+      reportError('Failed to add subscribers', err);
     }
   });
 
-program
-  .command('status')
-  .description('Account informations')
-  .action(async () => console.log(await getMe()));
+mlist
+  .command('remove <list> <emails...>')
+  .description('Unsubscribe addresses from a mailing list')
+  .action(async (list, emails) => {
+    try {
+      const name = toAccountName(list);
+      for await (const email of emails) {
+        try {
+          await ovhRequest('DELETE', `/email/domain/${domain}/mailingList/${name}/subscriber/${validateCliArg(email, 'email')}`);
+          if (!dryRun) {
+            console.log(`${email} unsubscribed from ${name}@${domain}.`);
+          }
+        } catch (err) {
+          reportError(`Failed to unsubscribe "${email}"`, err);
+        }
+      }
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to remove subscribers', err);
+    }
+  });
 
-program
-  .command('quota')
-  .action(async () => console.log(await ovhRequest('GET', `/email/domain/${domain}/account`)));
+mlist
+  .command('import <list> <file>')
+  .description('Subscribe the addresses of a CSV file ("email" column, or the first column)')
+  .action(async (list, file) => {
+    try {
+      const name = toAccountName(list);
+      const rows = csvEmails(parseCsv(await fs.readFile(file, 'utf-8')));
+      const existing = new Set((await getSubscribers(name)).map(email => email.toLowerCase()));
+      const report = { subscribed: 0, skipped: 0, failed: 0 };
+      for await (const { line, email } of rows) {
+        try {
+          const sanitized = validateCliArg(email, 'email');
+          if (existing.has(sanitized.toLowerCase())) {
+            report.skipped += 1;
+            continue;
+          }
+          await ovhRequest('POST', `/email/domain/${domain}/mailingList/${name}/subscriber`, { email: sanitized });
+          existing.add(sanitized.toLowerCase());
+          report.subscribed += 1;
+        } catch (err) {
+          report.failed += 1;
+          reportError(`Line ${line}: failed to subscribe "${email}"`, err);
+        }
+      }
+      await afterMutation(() => {});
+      console.log(`${report.subscribed} ${dryRun ? 'to subscribe' : 'subscribed'}, ${report.skipped} already subscribed, ${report.failed} failed.`);
+    } catch (err) {
+      reportError('Failed to import subscribers', err);
+    }
+  });
 
 const domainCmd = program
   .command('domain')
@@ -619,40 +4649,70 @@ const domainCmd = program
 domainCmd
   .command('list')
   .description('List all accessible domains')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
-  .action(async ({ format }) => {
+  .outputOptions()
+  .action(async (options) => {
     try {
-      const domains = await ovhRequest('GET', '/domain');
-      if (!domains || domains.length === 0) {
+      const domainDetails = await getDomainDetails();
+      if (domainDetails.length === 0) {
         console.log('No domains found.');
         return;
       }
-      // Fetch detailed info for each domain
-      const domainDetails = await Promise.all(
-        domains.map(async (domainName) => {
-          try {
-            const info = await ovhRequest('GET', `/domain/${domainName}`);
-            return {
-              name: domainName,
-              status: info.state || 'unknown',
-              ownerContact: info.ownerContact || 'N/A',
-              expirationDate: info.expirationDate || 'N/A',
-            };
-          } catch {
-            return {
-              name: domainName,
-              status: 'error',
-              ownerContact: 'N/A',
-              expirationDate: 'N/A',
-            };
-          }
-        })
-      );
       // Format output
-      const output = formatOutput(domainDetails, format || 'table');
-      console.log(output);
+      printOutput(domainDetails, options);
+    } catch (err) {
+      reportError('Failed to list domains', err);
+    }
+  });
+
+domainCmd
+  .command('expiring [domains...]')
+  .description('List domains by expiration date; exits with code 1 when one expires within the window')
+  .option('-w, --within <duration>', 'Alert window (e.g. 30d, 8w)', '30d')
+  .outputOptions()
+  .action(async (domainNames, { within, ...options }) => {
+    try {
+      const windowDays = parseDuration(within) / 86400000;
+      const names = domainNames.length ? domainNames : await ovhRequest('GET', '/domain');
+      if (!names.length) {
+        console.log('No domains found.');
+        return;
+      }
+      const renewals = (await mapLimited(names, async (name) => {
+        try {
+          return await getDomainRenewal(name);
+        } catch (err) {
+          reportError(`Failed to get service information of ${name}`, err);
+          return null;
+        }
+      })).filter(Boolean).sort((a, b) => a.daysLeft - b.daysLeft);
+
+      const expiring = renewals.filter(({ daysLeft }) => daysLeft <= windowDays);
+      // Colours are only added when rendering, the rows keep their raw values
+      const renderTable = (rows, cols, { header }) => {
+        const table = new Table({ head: header ? cols.map(col => chalk.cyan(col)) : [] });
+        table.push(...rows.map(item => cols.map((col) => {
+          if (col === 'daysLeft') {
+            const daysLeft = item.daysLeft < 0 ? `expired ${-item.daysLeft}d ago` : String(item.daysLeft);
+            return item.daysLeft <= windowDays ? chalk.red(daysLeft) : daysLeft;
+          }
+          if (col === 'renewal' && item.renewal !== 'automatic') {
+            return chalk.yellow(item.renewal);
+          }
+          return item[col] ?? 'N/A';
+        })));
+        return table.toString();
+      };
+      printOutput(renewals, options, { renderTable });
+      if (outputSettings(options).format === 'table' && !outputSettings(options).field) {
+        console.log(expiring.length
+          ? chalk.red(`${expiring.length} domain(s) expiring within ${within}.`)
+          : `No domain expiring within ${within}.`);
+      }
+      if (expiring.length) {
+        process.exitCode = 1;
+      }
     } catch (err) {
-      console.error('Failed to list domains:', err.message);
+      reportError('Failed to check domain expiration', err);
     }
   });
 
@@ -666,8 +4726,8 @@ domainCmd
 domainCmd
   .command('contacts:list <domainName>')
   .description('List all contacts for a domain')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
-  .action(async (domainName, { format }) => {
+  .outputOptions()
+  .action(async (domainName, options) => {
     try {
       const response = await ovhRequest('GET', `/domain/${domainName}`);
 
@@ -686,69 +4746,64 @@ domainCmd
         Tech: techFormatted,
       };
 
-      const output = formatOutput([contactInfo], format || 'table');
-      console.log(output);
+      printOutput([contactInfo], options);
     } catch (err) {
-      console.error('Failed to list contacts:', err.message);
+      reportError('Failed to list contacts', err);
     }
   });
 
 domainCmd
   .command('dns:list <domainName>')
   .description('List nameservers for a domain')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
-  .action(async (domainName, { format }) => {
+  .outputOptions()
+  .action(async (domainName, options) => {
     try {
       const nameServers = await ovhRequest('GET', `/domain/${domainName}/nameServer`);
       if (!nameServers || nameServers.length === 0) {
         console.log('No nameservers found.');
         return;
       }
-      const nsDetails = await Promise.all(
-        nameServers.map(async (nsId) => {
-          try {
-            const nsInfo = await ovhRequest('GET', `/domain/${domainName}/nameServer/${nsId}`);
-            return {
-              id: nsId,
-              host: nsInfo.host || 'N/A',
-              ip: nsInfo.ip || 'N/A',
-            };
-          } catch {
-            return {
-              id: nsId,
-              host: 'error',
-              ip: 'N/A',
-            };
-          }
-        })
-      );
-      const output = formatOutput(nsDetails, format || 'table');
-      console.log(output);
+      const nsDetails = await mapLimited(nameServers, async (nsId) => {
+        try {
+          const nsInfo = await ovhRequest('GET', `/domain/${domainName}/nameServer/${nsId}`);
+          return {
+            id: nsId,
+            host: nsInfo.host || null,
+            ip: nsInfo.ip || null,
+          };
+        } catch {
+          return {
+            id: nsId,
+            host: 'error',
+            ip: null,
+          };
+        }
+      });
+      printOutput(nsDetails, options);
     } catch (err) {
-      console.error('Failed to list nameservers:', err.message);
+      reportError('Failed to list nameservers', err);
     }
   });
 
 domainCmd
   .command('zone:info <zoneName>')
   .description('Display DNS zone information')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
-  .action(async (zoneName, { format }) => {
+  .outputOptions()
+  .action(async (zoneName, options) => {
     try {
       const zoneInfo = await getDnsZone(zoneName);
-      const output = formatOutput([zoneInfo], format || 'table');
-      console.log(output);
+      printOutput([zoneInfo], options);
     } catch (err) {
-      console.error('Failed to retrieve zone information:', err.message);
+      reportError('Failed to retrieve zone information', err);
     }
   });
 
 domainCmd
   .command('zone:records <zoneName>')
   .description('List all DNS records for a zone')
-  .option('-f, --format <format>', 'Output format: table, json, or csv (default: table)')
+  .outputOptions()
   .option('--filter <type>', 'Filter records by type (e.g., A, MX, CNAME, TXT)')
-  .action(async (zoneName, { format, filter }) => {
+  .action(async (zoneName, { filter, ...options }) => {
     try {
       let records = await getDnsRecords(zoneName);
       if (!records || records.length === 0) {
@@ -765,10 +4820,689 @@ domainCmd
           return;
         }
       }
-      const output = formatOutput(records, format || 'table');
-      console.log(output);
+      printOutput(records, options);
+    } catch (err) {
+      reportError('Failed to list zone records', err);
+    }
+  });
+
+domainCmd
+  .command('zone:add <zoneName> <fieldType> <subDomain> <target...>')
+  .description(`Add DNS records (${dnsRecordTypes.join(', ')}), one per target; use "@" as subDomain for the zone apex.`
+    + ' The words of a TXT target make a single record, quote MX, SRV and CAA targets')
+  .option('--ttl <ttl>', 'Record TTL in seconds (default: zone default)')
+  .action(async (zoneName, fieldType, subDomain, targets, { ttl }) => {
+    let created = 0;
+    try {
+      // An unquoted "v=spf1 include:x ~all" is one TXT value, not three records
+      const values = String(fieldType).toUpperCase() === 'TXT' ? [targets.join(' ')] : targets;
+      const records = values.map(target => validateDnsRecord({ fieldType, subDomain, target, ttl }));
+      for await (const record of records) {
+        const response = await createDnsRecord(zoneName, record);
+        created += 1;
+        if (response) {
+          console.log(`Record created: ID ${response.id} ${record.subDomain || '@'} ${record.fieldType} ${record.target}`);
+        }
+      }
+    } catch (err) {
+      reportError('Failed to add zone record', err);
+    } finally {
+      await publishZoneChanges(zoneName, created);
+    }
+  });
+
+domainCmd
+  .command('zone:update <zoneName> [ids...]')
+  .description('Update DNS records, selected by id or by subdomain/type/target')
+  .option('-s, --sub-domain <subDomain>', 'Select records of this subdomain ("@" for the zone apex)')
+  .option('-t, --type <fieldType>', 'Select records of this type')
+  .option('--match <target>', 'Select records with this exact target')
+  .option('--target <target>', 'New target')
+  .option('--ttl <ttl>', 'New TTL in seconds')
+  .option('--rename <subDomain>', 'New subdomain')
+  .option('--all', 'Update every matching record instead of requiring a single match')
+  .action(async (zoneName, ids, { subDomain, type, match, target, ttl, rename, all }) => {
+    let updated = 0;
+    try {
+      if (target === undefined && ttl === undefined && rename === undefined) {
+        throw new Error('Nothing to update: specify --target, --ttl or --rename.');
+      }
+      const records = await resolveDnsRecords(zoneName, ids, { subDomain, fieldType: type, target: match });
+      if (records.length === 0) {
+        console.log('No matching records found.');
+        return;
+      }
+      if (records.length > 1 && !all) {
+        console.log(formatOutput(records, 'table'));
+        throw new Error(`${records.length} records match; refine the selection or use --all.`);
+      }
+      const updates = records.map(record => ({
+        id: record.id,
+        ...validateDnsRecord({
+          fieldType: record.fieldType,
+          subDomain: rename === undefined ? record.subDomain : rename,
+          target: target === undefined ? record.target : target,
+          ttl,
+        }),
+      }));
+      for await (const { id, fieldType, ...changes } of updates) {
+        await updateDnsRecord(zoneName, id, changes);
+        updated += 1;
+        if (!dryRun) {
+          console.log(`Record updated: ID ${id} ${changes.subDomain || '@'} ${fieldType} ${changes.target}`);
+        }
+      }
+    } catch (err) {
+      reportError('Failed to update zone records', err);
+    } finally {
+      await publishZoneChanges(zoneName, updated);
+    }
+  });
+
+domainCmd
+  .command('zone:delete <zoneName> [ids...]')
+  .description('Delete DNS records, selected by id or by subdomain/type/target')
+  .option('-s, --sub-domain <subDomain>', 'Select records of this subdomain ("@" for the zone apex)')
+  .option('-t, --type <fieldType>', 'Select records of this type')
+  .option('--target <target>', 'Select records with this exact target')
+  .option('--all', 'Delete every matching record instead of requiring a single match')
+  .action(async (zoneName, ids, { subDomain, type, target, all }) => {
+    let deleted = 0;
+    try {
+      const records = await resolveDnsRecords(zoneName, ids, { subDomain, fieldType: type, target });
+      if (records.length === 0) {
+        console.log('No matching records found.');
+        return;
+      }
+      if (records.length > 1 && !all) {
+        console.log(formatOutput(records, 'table'));
+        throw new Error(`${records.length} records match; refine the selection or use --all.`);
+      }
+      for await (const { id, subDomain: sub, fieldType, target: value } of records) {
+        await deleteDnsRecord(zoneName, id);
+        deleted += 1;
+        if (!dryRun) {
+          console.log(`Record deleted: ID ${id} ${sub} ${fieldType} ${value}`);
+        }
+      }
+    } catch (err) {
+      reportError('Failed to delete zone records', err);
+    } finally {
+      await publishZoneChanges(zoneName, deleted);
+    }
+  });
+
+domainCmd
+  .command('zone:export <zoneName>')
+  .description('Export DNS records of a zone as a BIND zone file')
+  .option('-o, --output <file>', 'Write the zone file to this path instead of stdout')
+  .action(async (zoneName, { output }) => {
+    try {
+      const records = await getDnsRecords(zoneName);
+      const content = toBindZone(zoneName, records);
+      if (output) {
+        await fs.writeFile(output, content);
+        console.log(`${records.length} record(s) exported to ${output}`);
+      } else {
+        process.stdout.write(content);
+      }
+    } catch (err) {
+      reportError('Failed to export zone', err);
+    }
+  });
+
+domainCmd
+  .command('zone:apply <zoneName> <file>')
+  .description('Apply a BIND zone file to a zone, showing the plan before changing anything')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .option('--plan', 'Only display the plan')
+  .action(async (zoneName, file, { yes, plan: planOnly }) => {
+    try {
+      const desired = parseBindZone(zoneName, await fs.readFile(file, 'utf-8'));
+      desired.forEach(record => {
+        if (dnsRecordTypes.includes(record.fieldType)) {
+          try {
+            validateDnsRecord(record);
+          } catch (err) {
+            throw new Error(`Line ${record.line}: ${err.message}`);
+          }
+        }
+      });
+      const live = await getDnsRecords(zoneName, { fresh: true });
+      const plan = planZoneChanges(live, desired);
+      console.log(formatZonePlan(plan));
+
+      const { creates, updates, deletes } = plan;
+      if (!creates.length && !updates.length && !deletes.length) {
+        console.log(`Zone ${zoneName} is up to date.`);
+        return;
+      }
+      if (planOnly) {
+        return;
+      }
+      if (!yes && !dryRun && !await confirm(`Apply these changes to ${zoneName}?`)) {
+        console.log('Aborted, nothing was changed.');
+        return;
+      }
+
+      const applied = { created: 0, updated: 0, deleted: 0 };
+      try {
+        for await (const record of creates) {
+          await createDnsRecord(zoneName, validateDnsRecord(record));
+          applied.created += 1;
+        }
+        for await (const { before, after } of updates) {
+          const { fieldType, ...changes } = validateDnsRecord(after);
+          await updateDnsRecord(zoneName, before.id, { ...changes, ttl: changes.ttl || 0 });
+          applied.updated += 1;
+        }
+        for await (const { id } of deletes) {
+          await deleteDnsRecord(zoneName, id);
+          applied.deleted += 1;
+        }
+      } finally {
+        // Publish what was applied even if a change failed midway
+        await publishZoneChanges(zoneName, applied.created + applied.updated + applied.deleted);
+      }
+      if (!dryRun) {
+        console.log(`${applied.created} created, ${applied.updated} updated, ${applied.deleted} deleted.`);
+      }
+    } catch (err) {
+      reportError('Failed to apply zone file', err);
+    }
+  });
+
+domainCmd
+  .command('dnssec:status <zoneName>')
+  .description('Display the DNSSEC state of a zone')
+  .outputOptions()
+  .action(async (zoneName, options) => {
+    try {
+      const [{ dnssecSupported }, status] = await Promise.all([
+        getDnsZone(zoneName),
+        getDnssecStatus(zoneName),
+      ]);
+      printOutput([{ zone: zoneName, dnssecSupported, status }], options);
+    } catch (err) {
+      reportError('Failed to retrieve DNSSEC status', err);
+    }
+  });
+
+domainCmd
+  .command('dnssec:enable <zoneName>')
+  .description('Enable DNSSEC on a zone')
+  .option('-w, --wait', 'Wait until the activation is finished')
+  .option('--timeout <seconds>', 'Maximum time to wait', '600')
+  .action(async (zoneName, options) => {
+    try {
+      await switchDnssec(zoneName, true, options);
+    } catch (err) {
+      reportError('Failed to enable DNSSEC', err);
+    }
+  });
+
+domainCmd
+  .command('dnssec:disable <zoneName>')
+  .description('Disable DNSSEC on a zone')
+  .option('-w, --wait', 'Wait until the deactivation is finished')
+  .option('--timeout <seconds>', 'Maximum time to wait', '600')
+  .action(async (zoneName, options) => {
+    try {
+      await switchDnssec(zoneName, false, options);
+    } catch (err) {
+      reportError('Failed to disable DNSSEC', err);
+    }
+  });
+
+domainCmd
+  .command('dnssec:keys <domainName>')
+  .description('Display DNSSEC keys with their key tag, algorithm and DS digest (-f ds: DS records to paste at a registrar)')
+  .outputOptions(['ds'])
+  .addOption(new Option('--digest <type>', 'DS digest type: 1 (SHA-1), 2 (SHA-256) or 4 (SHA-384)')
+    .choices(Object.keys(dsDigestTypes))
+    .default('2'))
+  .option('--all', 'Include zone signing keys (only KSKs are listed by default)')
+  .action(async (domainName, { digest, all, ...options }) => {
+    try {
+      const keyIds = await ovhRequest('GET', `/domain/${domainName}/dsRecord`);
+      const keys = await mapLimited(keyIds, id => ovhRequest('GET', `/domain/${domainName}/dsRecord/${id}`));
+      const rows = keys
+        .filter(({ flags }) => all || flags === 257)
+        .map((key) => {
+          const ds = computeDsRecord(domainName, key, Number(digest));
+          return {
+            tag: ds.tag,
+            role: key.flags === 257 ? 'KSK' : 'ZSK',
+            algorithm: `${key.algorithm} (${dnssecAlgorithms[key.algorithm] || 'unknown'})`,
+            digestType: ds.digestType,
+            digest: ds.digest,
+            status: key.status || null,
+          };
+        });
+      if (!rows.length) {
+        console.log(`No DNSSEC keys found for ${domainName}.`);
+        return;
+      }
+      if (options.format === 'ds') {
+        rows.forEach(({ tag, algorithm, digestType, digest: value }) => {
+          console.log(`${domainName}. IN DS ${tag} ${parseInt(algorithm, 10)} ${digestType} ${value}`);
+        });
+        return;
+      }
+      printOutput(rows, options);
+    } catch (err) {
+      reportError('Failed to retrieve DNSSEC keys', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:list <zoneName>')
+  .description('List DynHost records of a zone')
+  .outputOptions()
+  .action(async (zoneName, options) => {
+    try {
+      const records = await getDynHostRecords(zoneName);
+      if (!records.length) {
+        console.log('No DynHost records found.');
+        return;
+      }
+      printOutput(records, options);
+    } catch (err) {
+      reportError('Failed to list DynHost records', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:create <zoneName> <subDomain> [ip]')
+  .description('Create a DynHost record (default IP: the current public IP)')
+  .option('--ip-source <url>', 'URL answering the public IP (default: $DYNHOST_IP_SOURCE or https://api.ipify.org)')
+  .action(async (zoneName, subDomain, ip, { ipSource }) => {
+    try {
+      const sub = normalizeSubDomain(subDomain);
+      if (sub && !subDomainPattern.test(sub)) {
+        throw new Error(`Invalid subdomain "${subDomain}".`);
+      }
+      const address = ip ? ip.trim() : await getPublicIp(ipSource || process.env.DYNHOST_IP_SOURCE || 'https://api.ipify.org');
+      if (!isIPv4(address) && !isIPv6(address)) {
+        throw new Error(`Invalid IP address "${address}".`);
+      }
+      await ovhRequest('POST', `/domain/zone/${zoneName}/dynHost/record`, { ip: address, subDomain: sub });
+      await refreshDnsZone(zoneName);
+      await afterMutation(() => console.log(`DynHost record created: ${sub || '@'} → ${address}`));
+    } catch (err) {
+      reportError('Failed to create DynHost record', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:delete <zoneName> <records...>')
+  .description('Delete DynHost records, by id or subdomain')
+  .action(async (zoneName, items) => {
+    try {
+      const records = await getDynHostRecords(zoneName);
+      for await (const item of items) {
+        const matches = records.filter(({ id, subDomain }) =>
+          String(id) === item || normalizeSubDomain(subDomain) === normalizeSubDomain(item));
+        if (!matches.length) {
+          console.error(`No DynHost record found for "${item}".`);
+          process.exitCode = exitCodes.notFound;
+          continue;
+        }
+        for await (const { id, subDomain } of matches) {
+          await ovhRequest('DELETE', `/domain/zone/${zoneName}/dynHost/record/${id}`);
+          if (!dryRun) {
+            console.log(`DynHost record deleted: ID ${id} ${subDomain}`);
+          }
+        }
+      }
+      await refreshDnsZone(zoneName);
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to delete DynHost records', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:login:list <zoneName>')
+  .description('List DynHost logins of a zone')
+  .outputOptions()
+  .action(async (zoneName, options) => {
+    try {
+      const logins = await ovhRequest('GET', `/domain/zone/${zoneName}/dynHost/login`);
+      if (!logins.length) {
+        console.log('No DynHost logins found.');
+        return;
+      }
+      const details = await mapLimited(logins, async (login) => {
+        const { subDomain } = await ovhRequest('GET', `/domain/zone/${zoneName}/dynHost/login/${login}`);
+        return { login, subDomain: subDomain || null };
+      });
+      printOutput(details, options);
+    } catch (err) {
+      reportError('Failed to list DynHost logins', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:login:create <zoneName> <loginSuffix>')
+  .description('Create a DynHost login; the password is prompted for, or read from stdin')
+  .requiredOption('-s, --sub-domain <pattern>', 'Subdomains the login may update (e.g. "home" or "*")')
+  .action(async (zoneName, loginSuffix, { subDomain }) => {
+    try {
+      const password = await promptNewPassword();
+      await ovhRequest('POST', `/domain/zone/${zoneName}/dynHost/login`, { loginSuffix, password, subDomain });
+      await afterMutation(() => console.log(`DynHost login ${zoneName}-${loginSuffix} created for "${subDomain}".`));
+    } catch (err) {
+      reportError('Failed to create DynHost login', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:login:password <zoneName> <login>')
+  .description('Change the password of a DynHost login; the password is prompted for, or read from stdin')
+  .action(async (zoneName, login) => {
+    try {
+      const password = await promptNewPassword();
+      await ovhRequest('POST', `/domain/zone/${zoneName}/dynHost/login/${login}/changePassword`, { password });
+      await afterMutation(() => console.log(`Password of DynHost login ${login} changed.`));
+    } catch (err) {
+      reportError('Failed to change DynHost password', err);
+    }
+  });
+
+domainCmd
+  .command('dynhost:login:delete <zoneName> <logins...>')
+  .description('Delete DynHost logins')
+  .action(async (zoneName, logins) => {
+    try {
+      for await (const login of logins) {
+        try {
+          await ovhRequest('DELETE', `/domain/zone/${zoneName}/dynHost/login/${login}`);
+          if (!dryRun) {
+            console.log(`DynHost login ${login} deleted.`);
+          }
+        } catch (err) {
+          reportError(`Failed to delete DynHost login "${login}"`, err);
+        }
+      }
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to delete DynHost logins', err);
+    }
+  });
+
+const dynhost = program
+  .command('dynhost')
+  .description('Keep DynHost records in sync with the public IP');
+
+dynhost
+  .command('update <zoneName> <subDomain>')
+  .description('Point a DynHost record at the current public IP if it changed')
+  .option('--ip-source <url>', 'URL answering the public IP as text or JSON (default: $DYNHOST_IP_SOURCE or https://api.ipify.org)')
+  .option('--create', 'Create the DynHost record if it does not exist')
+  .option('-w, --watch <interval>', 'Keep running and check again at this interval (e.g. 5m)')
+  .action(async (zoneName, subDomain, { ipSource, create, watch }) => {
+    const options = { ipSource: ipSource || process.env.DYNHOST_IP_SOURCE || 'https://api.ipify.org', create };
+    try {
+      const interval = watch ? parseDuration(watch) : 0;
+      if (watch && interval < 10000) {
+        throw new Error('The watch interval must be at least 10s.');
+      }
+      do {
+        try {
+          if (await syncDynHost(zoneName, subDomain, options)) {
+            await writeJournal();
+          }
+        } catch (err) {
+          if (!watch) throw err;
+          reportError(`${new Date().toISOString()} DynHost update failed`, err);
+        }
+        if (watch) {
+          await sleep(interval);
+        }
+      } while (watch);
+      await afterMutation(() => {});
+    } catch (err) {
+      reportError('Failed to update DynHost record', err);
+    }
+  });
+
+/**
+ * Shell scripts calling "ovh __complete" with the words typed so far.
+ */
+const completionScripts = {
+  bash: `# ovh completion for bash: eval "$(ovh completion bash)" in ~/.bashrc
+_ovh_completion() {
+  local line="\${COMP_LINE:0:COMP_POINT}" words cur
+  read -ra words <<< "$line"
+  [[ $line == *' ' ]] && words+=('')
+  cur="\${words[-1]}"
+  local IFS=$'\\n'
+  COMPREPLY=($(ovh __complete -- "\${words[@]:1}" 2>/dev/null))
+  # Bash splits words on ":", only complete what follows the last one
+  if [[ $cur == *:* && $COMP_WORDBREAKS == *:* ]]; then
+    local prefix="\${cur%"\${cur##*:}"}"
+    COMPREPLY=("\${COMPREPLY[@]#"$prefix"}")
+  fi
+}
+complete -o default -F _ovh_completion ovh
+`,
+  zsh: `#compdef ovh
+# ovh completion for zsh: eval "$(ovh completion zsh)" in ~/.zshrc, after compinit
+_ovh() {
+  local -a candidates
+  candidates=("\${(@f)$(ovh __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}")
+  compadd -- "\${candidates[@]}"
+}
+compdef _ovh ovh
+`,
+  fish: `# ovh completion for fish: ovh completion fish > ~/.config/fish/completions/ovh.fish
+function __ovh_complete
+    set -l words (commandline -opc)
+    set -e words[1]
+    ovh __complete -- $words (commandline -ct) 2>/dev/null
+end
+complete -c ovh -f -a '(__ovh_complete)'
+`,
+};
+
+/**
+ * Values listed in an option description, e.g. "Output format: table, json, or csv".
+ * @param {string} description - Option description
+ * @returns {Array<string>} - Listed values
+ */
+const describedValues = (description = '') => {
+  const match = description.match(/:\s*((?:[\w-]+(?:,?\s+or\s+|,\s*))+[\w-]+)/);
+  return match ? match[1].split(/,\s*(?:or\s+)?|\s+or\s+/) : [];
+};
+
+/**
+ * Names of the configuration profiles (.env.local and .env.<name>.local).
+ * @returns {Promise<Array<string>>} - Profile names, "default" for .env.local
+ */
+const profileNames = async () => (await fs.readdir(basePath))
+  .filter(file => /^\.env\.(.+\.)?local$/.test(file))
+  .map(file => (file === '.env.local' ? 'default' : file.slice('.env.'.length, -'.local'.length)));
+
+/**
+ * Domains known to the cache of the current endpoint.
+ * @returns {Array<string>} - Domain names
+ */
+const cachedDomainNames = () => [...new Set([...(domain ? [domain] : []), ...Object.keys(endpointCache())])].sort();
+
+/**
+ * Compute the completions of the last word of a command line, from the commander tree and the cache.
+ * Never calls the API, to stay fast.
+ * @param {Array<string>} words - Words after "ovh", the last one being the word being typed
+ * @returns {Promise<Array<string>>} - Candidates starting with the word being typed
+ */
+const completeWords = async (words) => {
+  const current = words.at(-1) || '';
+  let command = program;
+  let previousOption;
+  let position = 0;
+  const optionsOf = cmd => [...cmd.options, ...(cmd === program ? [] : program.options)];
+
+  for (const word of words.slice(0, -1)) {
+    if (previousOption) {
+      previousOption = undefined;
+    } else if (word.startsWith('-')) {
+      const option = optionsOf(command).find(({ long, short }) => [long, short].includes(word));
+      previousOption = option && (option.required || option.optional) ? option : undefined;
+    } else {
+      const sub = command.commands.find(cmd => cmd.name() === word || cmd.aliases().includes(word));
+      if (sub) {
+        command = sub;
+        position = 0;
+      } else {
+        position += 1;
+      }
+    }
+  }
+
+  // Options taken from the words, to read the right cache
+  const domainIndex = words.findIndex(word => ['-d', '--domain'].includes(word));
+  if (domainIndex !== -1 && domainIndex < words.length - 2) {
+    domain = words[domainIndex + 1];
+  }
+
+  let candidates = [];
+  if (previousOption) {
+    if (previousOption.argChoices) {
+      candidates = previousOption.argChoices;
+    } else if (previousOption.long === '--profile') {
+      candidates = await profileNames();
+    } else if (previousOption.long === '--domain') {
+      candidates = cachedDomainNames();
+    } else if (['--tag', '--untag'].includes(previousOption.long)) {
+      candidates = Object.values(endpointAliases()).flatMap(({ tags = [] }) => tags);
+    } else {
+      candidates = describedValues(previousOption.description);
+    }
+  } else if (current.startsWith('-')) {
+    candidates = optionsOf(command).flatMap(({ long, short }) => [long, short]).filter(Boolean);
+  } else {
+    candidates = command.commands.map(cmd => cmd.name()).filter(name => !name.startsWith('__'));
+    const parent = command.parent?.name();
+    if (parent === 'redir' && (['delete', 'unban'].includes(command.name()) || (['modify', 'annotate'].includes(command.name()) && position === 0))) {
+      candidates = (domain ? domainRedirections() : [])
+        .filter(({ from }) => from.endsWith(`@${domain}`))
+        .map(({ from }) => from.split('@')[0]);
+    } else if (['domain', 'dynhost'].includes(parent) && position === 0) {
+      candidates = cachedDomainNames();
+    }
+  }
+  return [...new Set(candidates)].filter(candidate => candidate.startsWith(current));
+};
+
+const api = program
+  .command('api')
+  .description('Call any API path, checked against the OVH API schema');
+
+api
+  .command('call <method> <path>', { isDefault: true })
+  .description('Call the API, e.g. "ovh api GET /me"')
+  .option('--data <json>', 'Request body: JSON, @file, or @- to read stdin')
+  .option('-q, --query <key=value>', 'Query parameter, may be repeated', parseQueryParam)
+  .option('--no-validate', 'Send the call without checking it against the API schema')
+  .outputOptions()
+  .action(async (methodArg, path, { data, query = {}, validate, ...options }) => {
+    try {
+      const method = methodArg.toUpperCase();
+      if (!['GET', 'POST', 'PUT', 'DELETE'].includes(method)) {
+        throw new Error(`Invalid method "${methodArg}": expected GET, POST, PUT or DELETE.`);
+      }
+      const apiPath = `/${path.replace(/^\/+|\/+$/g, '')}`.replace(/^\/1\.0(?=\/)/, '');
+      const body = data === undefined ? undefined : await readApiData(data);
+      if (body !== undefined && ['GET', 'DELETE'].includes(method)) {
+        throw new Error(`${method} calls take no body, use --query.`);
+      }
+      if (validate) {
+        try {
+          const operation = await findApiOperation(method, apiPath);
+          validateApiParams(operation, query, 'query');
+          if (body && typeof body === 'object' && !Array.isArray(body)) {
+            validateApiParams(operation, body, 'body');
+          }
+        } catch (err) {
+          if (/Cannot load the API schema|No cached schema/.test(err.message)) {
+            console.error(chalk.yellow(`Warning: call not validated, ${err.message}`));
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      const queryString = new URLSearchParams(query).toString();
+      const response = method === 'GET' || method === 'DELETE'
+        ? await ovhRequest(method, apiPath, Object.keys(query).length ? query : undefined)
+        : await ovhRequest(method, queryString ? `${apiPath}?${queryString}` : apiPath, body);
+      if (response !== null && response !== undefined) {
+        console.log(formatApiResponse(response, options));
+      }
+      if (method !== 'GET') {
+        await afterMutation(() => {});
+      }
+    } catch (err) {
+      reportError('API call failed', err);
+    }
+  });
+
+api
+  .command('list [prefix]')
+  .description('List the APIs, or the operations available under a path prefix')
+  .outputOptions()
+  .action(async (prefix, options) => {
+    try {
+      if (!prefix || prefix === '/') {
+        const { apis } = await getApiSchema('/');
+        printOutput(apis.map(({ path, description }) => ({ path, description: description || null })), options);
+        return;
+      }
+      const normalized = `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+      const apiPath = await findApi(normalized);
+      const apiPrefixes = (await getApiSchema('/')).apis
+        .map(({ path }) => path)
+        .filter(path => path.startsWith(`${normalized}/`) || path === normalized);
+      const paths = apiPath ? [apiPath] : apiPrefixes;
+      if (!paths.length) {
+        throw new Error(`No API under ${normalized}; run "ovh api list" to see the available APIs.`);
+      }
+      const operations = (await Promise.all(paths.map(getApiSchema)))
+        .flatMap(({ apis }) => apis)
+        .filter(({ path }) => path === normalized || path.startsWith(`${normalized}/`) || !apiPath)
+        .flatMap(({ path, operations: pathOperations }) => pathOperations.map(({ httpMethod, description, apiStatus }) => ({
+          method: httpMethod,
+          path,
+          description: description || null,
+          status: apiStatus?.value || null,
+        })));
+      if (!operations.length) {
+        console.log(`No operations under ${normalized}.`);
+        return;
+      }
+      printOutput(operations, options);
     } catch (err) {
-      console.error('Failed to list zone records:', err.message);
+      reportError('Failed to list API operations', err);
+    }
+  });
+
+program
+  .command('completion')
+  .description('Print the shell completion script')
+  .addArgument(new Argument('<shell>', 'Shell').choices(Object.keys(completionScripts)))
+  .action((shell) => {
+    process.stdout.write(completionScripts[shell]);
+  });
+
+program
+  .command('__complete [words...]', { hidden: true })
+  .description('Print the completions of a command line, for the completion scripts')
+  .action(async (words = []) => {
+    try {
+      (await completeWords(words.length ? words : [''])).forEach(candidate => console.log(candidate));
+    } catch {
+      // No completions rather than an error in the middle of the command line
     }
   });
 
@@ -776,6 +5510,12 @@ program.parse();
 
 // Global error handling for unhandled promise rejections and uncaught exceptions
 process.on('unhandledRejection', (reason) => {
+  // API errors carry a safe message and their fix
+  if (reason instanceof OvhApiError) {
+    reportError('Error', reason);
+    return;
+  }
+  process.exitCode = exitCodes.error;
   // Never log secrets or sensitive data
   console.error('\nAn error occurred. Please try again later.');
   // Technical details for devs (filtered)
@@ -785,6 +5525,7 @@ process.on('unhandledRejection', (reason) => {
 });
 
 process.on('uncaughtException', (err) => {
+  process.exitCode = exitCodes.error;
   // Never log secrets or sensitive data
   console.error('\nA critical error occurred. Please try again later.');
   // Technical details for devs (filtered)
@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the OVH API, keeping its state in memory.
+ * Implements the routes used by the CLI (email redirections, mailboxes, responders, mailing lists,
+ * domains, DNS zones and /me). Use it with `ovh --endpoint mock`.
+ *
+ * Usage: node mock-server.mjs [--port 3001] [--seed state.json]
+ */
+
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+
+/**
+ * Error answered with an HTTP status and an OVH-like JSON message.
+ */
+class MockApiError extends Error {
+  constructor(status, message, errorClass = 'Client::NotFound') {
+    super(message);
+    this.status = status;
+    this.errorClass = errorClass;
+  }
+}
+
+/**
+ * Build the initial in-memory state of the mock API.
+ * @param {Object} [seed] - Partial state overriding the defaults
+ * @param {Object} [seed.me] - /me response
+ * @param {Object} [seed.email] - Email domains:
+ *   { [domain]: { redirections: [{ id, from, to }], accounts: [{ accountName, description, size, usage }],
+ *     responders: [{ account, content, from, to }], mailingLists: [{ name, ownerEmail, subscribers: [] }] } }
+ * @param {Object} [seed.domains] - Domains: { [domain]: { state, expirationDate, renew, serviceStatus, dsRecords: [{ id, flags, algorithm, publicKey }], ... } }
+ * @param {Object} [seed.zones] - DNS zones: { [zone]: { records: [{ id, subDomain, fieldType, target, ttl }],
+ *   dynHostRecords: [{ id, subDomain, ip }], dynHostLogins: [{ login, subDomain }] } }
+ * @param {Array} [seed.faults] - Injected failures: [{ method, path, status, message, times, after }]
+ * @returns {Object} - Mock state, also recording every received call in `calls`
+ */
+export const createMockState = (seed = {}) => ({
+  me: {
+    nichandle: 'xx1234-ovh',
+    firstname: 'Jane',
+    name: 'Doe',
+    email: 'jane.doe@example.com',
+    ...seed.me,
+  },
+  email: structuredClone(seed.email || {}),
+  domains: structuredClone(seed.domains || {}),
+  zones: structuredClone(seed.zones || {}),
+  calls: [],
+  faults: structuredClone(seed.faults || []),
+  nextId: 1000,
+});
+
+/**
+ * Find a resource or throw a 404 like the OVH API does.
+ * @param {any} value - Resource, undefined when missing
+ * @param {string} description - Resource description for the error message
+ * @returns {any} - The resource
+ */
+const found = (value, description) => {
+  if (value === undefined) {
+    throw new MockApiError(404, `The requested object (${description}) does not exist`);
+  }
+  return value;
+};
+
+const emailDomain = (state, name) => found(state.email[name], `domain = ${name}`);
+const zone = (state, name) => found(state.zones[name], `zoneName = ${name}`);
+
+const accounts = (state, name) => {
+  const domainState = emailDomain(state, name);
+  if (!domainState.accounts) domainState.accounts = [];
+  return domainState.accounts;
+};
+
+const account = (state, name, accountName) => found(
+  accounts(state, name).find(item => item.accountName === accountName),
+  `accountName = ${accountName}`,
+);
+
+const responders = (state, name) => {
+  const domainState = emailDomain(state, name);
+  if (!domainState.responders) domainState.responders = [];
+  return domainState.responders;
+};
+
+const responder = (state, name, accountName) => found(
+  responders(state, name).find(item => item.account === accountName),
+  `account = ${accountName}`,
+);
+
+const mailingList = (state, name, list) => found(
+  (emailDomain(state, name).mailingLists || []).find(item => item.name === list),
+  `name = ${list}`,
+);
+
+const redirection = (state, name, id) => found(
+  emailDomain(state, name).redirections.find(redir => String(redir.id) === id),
+  `id = ${id}`,
+);
+
+const record = (state, name, id) => found(
+  zone(state, name).records.find(rec => String(rec.id) === id),
+  `id = ${id}`,
+);
+
+const dynHostRecords = (state, name) => {
+  const zoneState = zone(state, name);
+  if (!zoneState.dynHostRecords) zoneState.dynHostRecords = [];
+  return zoneState.dynHostRecords;
+};
+
+const dynHostRecord = (state, name, id) => found(
+  dynHostRecords(state, name).find(rec => String(rec.id) === id),
+  `id = ${id}`,
+);
+
+const dynHostLogins = (state, name) => {
+  const zoneState = zone(state, name);
+  if (!zoneState.dynHostLogins) zoneState.dynHostLogins = [];
+  return zoneState.dynHostLogins;
+};
+
+const dynHostLogin = (state, name, login) => found(
+  dynHostLogins(state, name).find(item => item.login === login),
+  `login = ${login}`,
+);
+
+/**
+ * Email domain task, as returned by mutating redirection calls.
+ */
+const domainTask = (state, action, redir) => ({
+  id: state.nextId++,
+  action,
+  type: 'redirection',
+  domain: redir.from.split('@')[1],
+  status: 'todo',
+  date: new Date().toISOString(),
+});
+
+/**
+ * Zone task, finished immediately.
+ */
+const zoneTask = (state, name, fn) => {
+  const zoneState = zone(state, name);
+  const task = {
+    id: state.nextId++,
+    function: fn,
+    status: 'done',
+    creationDate: new Date().toISOString(),
+  };
+  zoneState.tasks = [...(zoneState.tasks || []), task];
+  return task;
+};
+
+/**
+ * Route table: [method, path pattern, handler(state, params, query, body)].
+ */
+const routes = [
+  ['GET', /^\/me$/, state => state.me],
+
+  ['GET', /^\/email\/domain$/, state => Object.keys(state.email)],
+  ['GET', /^\/email\/domain\/([^/]+)\/account$/, (state, [name]) =>
+    accounts(state, name).map(({ accountName }) => accountName)],
+  ['POST', /^\/email\/domain\/([^/]+)\/account$/, (state, [name], _query, { accountName, password, description = '', size = 5368709120 }) => {
+    if (!accountName || !password) {
+      throw new MockApiError(400, 'Missing parameter: accountName, password', 'Client::BadRequest');
+    }
+    if (accounts(state, name).some(item => item.accountName === accountName)) {
+      throw new MockApiError(409, `Account ${accountName} already exists`, 'Client::Conflict::AlreadyExists');
+    }
+    accounts(state, name).push({ accountName, password, description, size, usage: { quota: 0, emailCount: 0 } });
+    return { id: state.nextId++, action: 'create', account: accountName, domain: name, status: 'todo' };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/account\/([^/]+)$/, (state, [name, accountName]) => {
+    const { password, usage, ...details } = account(state, name, accountName);
+    return { domain: name, email: `${accountName}@${name}`, isBlocked: false, ...details };
+  }],
+  ['DELETE', /^\/email\/domain\/([^/]+)\/account\/([^/]+)$/, (state, [name, accountName]) => {
+    const item = account(state, name, accountName);
+    emailDomain(state, name).accounts = accounts(state, name).filter(other => other !== item);
+    return { id: state.nextId++, action: 'delete', account: accountName, domain: name, status: 'todo' };
+  }],
+  ['POST', /^\/email\/domain\/([^/]+)\/account\/([^/]+)\/changePassword$/, (state, [name, accountName], _query, { password }) => {
+    account(state, name, accountName).password = password;
+    return { id: state.nextId++, action: 'changePassword', account: accountName, domain: name, status: 'todo' };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/account\/([^/]+)\/usage$/, (state, [name, accountName]) => ({
+    date: account(state, name, accountName).usage?.date || null,
+    quota: 0,
+    emailCount: 0,
+    ...account(state, name, accountName).usage,
+  })],
+  ['POST', /^\/email\/domain\/([^/]+)\/account\/([^/]+)\/updateUsage$/, (state, [name, accountName]) => {
+    const item = account(state, name, accountName);
+    item.usage = { quota: 0, emailCount: 0, ...item.usage, date: new Date().toISOString() };
+    return null;
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/responder$/, (state, [name]) =>
+    responders(state, name).map(({ account: accountName }) => accountName)],
+  ['POST', /^\/email\/domain\/([^/]+)\/responder$/, (state, [name], _query, { account: accountName, content, copy = false, copyTo = null, from = null, to = null }) => {
+    if (!accountName || !content) {
+      throw new MockApiError(400, 'Missing parameter: account, content', 'Client::BadRequest');
+    }
+    responders(state, name).push({ account: accountName, content, copy, copyTo, from, to });
+    return { id: state.nextId++, action: 'add', account: accountName, domain: name, status: 'todo' };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/responder\/([^/]+)$/, (state, [name, accountName]) => responder(state, name, accountName)],
+  ['PUT', /^\/email\/domain\/([^/]+)\/responder\/([^/]+)$/, (state, [name, accountName], _query, changes) => {
+    const item = responder(state, name, accountName);
+    ['content', 'copy', 'copyTo', 'from', 'to'].forEach((key) => {
+      if (changes[key] !== undefined) item[key] = changes[key];
+    });
+    return null;
+  }],
+  ['DELETE', /^\/email\/domain\/([^/]+)\/responder\/([^/]+)$/, (state, [name, accountName]) => {
+    const item = responder(state, name, accountName);
+    emailDomain(state, name).responders = responders(state, name).filter(other => other !== item);
+    return { id: state.nextId++, action: 'delete', account: accountName, domain: name, status: 'todo' };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/mailingList$/, (state, [name]) =>
+    (emailDomain(state, name).mailingLists || []).map(({ name: list }) => list)],
+  ['GET', /^\/email\/domain\/([^/]+)\/mailingList\/([^/]+)$/, (state, [name, list]) => {
+    const { subscribers, ...details } = mailingList(state, name, list);
+    return { language: 'en', nbSubscribers: subscribers.length, ...details };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/mailingList\/([^/]+)\/subscriber$/, (state, [name, list]) =>
+    mailingList(state, name, list).subscribers],
+  ['POST', /^\/email\/domain\/([^/]+)\/mailingList\/([^/]+)\/subscriber$/, (state, [name, list], _query, { email }) => {
+    const item = mailingList(state, name, list);
+    if (item.subscribers.includes(email)) {
+      throw new MockApiError(409, `${email} is already subscribed`, 'Client::Conflict::AlreadyExists');
+    }
+    item.subscribers.push(email);
+    return { id: state.nextId++, action: 'addSubscriber', domain: name, status: 'todo' };
+  }],
+  ['DELETE', /^\/email\/domain\/([^/]+)\/mailingList\/([^/]+)\/subscriber\/([^/]+)$/, (state, [name, list, email]) => {
+    const item = mailingList(state, name, list);
+    found(item.subscribers.find(subscriber => subscriber === email), `email = ${email}`);
+    item.subscribers = item.subscribers.filter(subscriber => subscriber !== email);
+    return { id: state.nextId++, action: 'deleteSubscriber', domain: name, status: 'todo' };
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/redirection$/, (state, [name], query) => emailDomain(state, name).redirections
+    .filter(({ from, to }) => (!query.from || from === query.from) && (!query.to || to === query.to))
+    .map(({ id }) => String(id))],
+  ['POST', /^\/email\/domain\/([^/]+)\/redirection$/, (state, [name], _query, { from, to, localCopy = false }) => {
+    if (!from || !to) {
+      throw new MockApiError(400, 'Missing parameter: from, to', 'Client::BadRequest');
+    }
+    const redir = { id: String(state.nextId++), from, to, localCopy };
+    emailDomain(state, name).redirections.push(redir);
+    return domainTask(state, 'add', redir);
+  }],
+  ['GET', /^\/email\/domain\/([^/]+)\/redirection\/([^/]+)$/, (state, [name, id]) => {
+    const { localCopy, ...redir } = redirection(state, name, id);
+    return redir;
+  }],
+  ['DELETE', /^\/email\/domain\/([^/]+)\/redirection\/([^/]+)$/, (state, [name, id]) => {
+    const redir = redirection(state, name, id);
+    const domainState = emailDomain(state, name);
+    domainState.redirections = domainState.redirections.filter(item => item !== redir);
+    return domainTask(state, 'delete', redir);
+  }],
+  ['POST', /^\/email\/domain\/([^/]+)\/redirection\/([^/]+)\/changeRedirection$/, (state, [name, id], _query, { to }) => {
+    const redir = redirection(state, name, id);
+    if (!to) {
+      throw new MockApiError(400, 'Missing parameter: to', 'Client::BadRequest');
+    }
+    redir.to = to;
+    return domainTask(state, 'changeRedirection', redir);
+  }],
+
+  ['GET', /^\/domain$/, state => Object.keys(state.domains)],
+  ['GET', /^\/domain\/zone$/, state => Object.keys(state.zones)],
+  ['GET', /^\/domain\/zone\/([^/]+)$/, (state, [name]) => ({
+    name,
+    dnssecSupported: true,
+    hasDnsAnycast: false,
+    lastUpdate: zone(state, name).lastUpdate || null,
+    nameServers: ['dns100.ovh.net', 'ns100.ovh.net'],
+  })],
+  ['GET', /^\/domain\/zone\/([^/]+)\/record$/, (state, [name], query) => zone(state, name).records
+    .filter(({ fieldType, subDomain }) =>
+      (!query.fieldType || fieldType === query.fieldType) &&
+      (query.subDomain === undefined || subDomain === query.subDomain))
+    .map(({ id }) => id)],
+  ['POST', /^\/domain\/zone\/([^/]+)\/record$/, (state, [name], _query, { fieldType, subDomain = '', target, ttl = 0 }) => {
+    if (!fieldType || !target) {
+      throw new MockApiError(400, 'Missing parameter: fieldType, target', 'Client::BadRequest');
+    }
+    const rec = { id: state.nextId++, zone: name, fieldType, subDomain, target, ttl };
+    zone(state, name).records.push(rec);
+    return rec;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/record\/([^/]+)$/, (state, [name, id]) => ({ zone: name, ...record(state, name, id) })],
+  ['PUT', /^\/domain\/zone\/([^/]+)\/record\/([^/]+)$/, (state, [name, id], _query, changes) => {
+    const rec = record(state, name, id);
+    ['subDomain', 'target', 'ttl'].forEach((key) => {
+      if (changes[key] !== undefined) rec[key] = changes[key];
+    });
+    return null;
+  }],
+  ['DELETE', /^\/domain\/zone\/([^/]+)\/record\/([^/]+)$/, (state, [name, id]) => {
+    const rec = record(state, name, id);
+    const zoneState = zone(state, name);
+    zoneState.records = zoneState.records.filter(item => item !== rec);
+    return null;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/dynHost\/record$/, (state, [name]) => dynHostRecords(state, name).map(({ id }) => id)],
+  ['POST', /^\/domain\/zone\/([^/]+)\/dynHost\/record$/, (state, [name], _query, { ip, subDomain = '' }) => {
+    const rec = { id: state.nextId++, zone: name, subDomain, ip };
+    dynHostRecords(state, name).push(rec);
+    return rec;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/dynHost\/record\/([^/]+)$/, (state, [name, id]) => ({ zone: name, ...dynHostRecord(state, name, id) })],
+  ['PUT', /^\/domain\/zone\/([^/]+)\/dynHost\/record\/([^/]+)$/, (state, [name, id], _query, changes) => {
+    const rec = dynHostRecord(state, name, id);
+    ['subDomain', 'ip'].forEach((key) => {
+      if (changes[key] !== undefined) rec[key] = changes[key];
+    });
+    return null;
+  }],
+  ['DELETE', /^\/domain\/zone\/([^/]+)\/dynHost\/record\/([^/]+)$/, (state, [name, id]) => {
+    const rec = dynHostRecord(state, name, id);
+    zone(state, name).dynHostRecords = dynHostRecords(state, name).filter(item => item !== rec);
+    return null;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/dynHost\/login$/, (state, [name]) => dynHostLogins(state, name).map(({ login }) => login)],
+  ['POST', /^\/domain\/zone\/([^/]+)\/dynHost\/login$/, (state, [name], _query, { loginSuffix, password, subDomain }) => {
+    if (!loginSuffix || !password || !subDomain) {
+      throw new MockApiError(400, 'Missing loginSuffix, password or subDomain');
+    }
+    const item = { login: `${name}-${loginSuffix}`, zone: name, subDomain };
+    dynHostLogins(state, name).push(item);
+    return item;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/dynHost\/login\/([^/]+)$/, (state, [name, login]) => ({ zone: name, ...dynHostLogin(state, name, login) })],
+  ['POST', /^\/domain\/zone\/([^/]+)\/dynHost\/login\/([^/]+)\/changePassword$/, (state, [name, login]) => {
+    dynHostLogin(state, name, login);
+    return null;
+  }],
+  ['DELETE', /^\/domain\/zone\/([^/]+)\/dynHost\/login\/([^/]+)$/, (state, [name, login]) => {
+    const item = dynHostLogin(state, name, login);
+    zone(state, name).dynHostLogins = dynHostLogins(state, name).filter(entry => entry !== item);
+    return null;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/dnssec$/, (state, [name]) => ({ status: zone(state, name).dnssec || 'disabled' })],
+  ['POST', /^\/domain\/zone\/([^/]+)\/dnssec$/, (state, [name]) => {
+    zone(state, name).dnssec = 'enabled';
+    zoneTask(state, name, 'DnssecEnable');
+    return null;
+  }],
+  ['DELETE', /^\/domain\/zone\/([^/]+)\/dnssec$/, (state, [name]) => {
+    zone(state, name).dnssec = 'disabled';
+    zoneTask(state, name, 'DnssecDisable');
+    return null;
+  }],
+  ['GET', /^\/domain\/zone\/([^/]+)\/task$/, (state, [name]) => (zone(state, name).tasks || []).map(({ id }) => id)],
+  ['GET', /^\/domain\/zone\/([^/]+)\/task\/([^/]+)$/, (state, [name, id]) => found(
+    (zone(state, name).tasks || []).find(task => String(task.id) === id),
+    `id = ${id}`,
+  )],
+  ['POST', /^\/domain\/zone\/([^/]+)\/refresh$/, (state, [name]) => {
+    zone(state, name).lastUpdate = new Date().toISOString();
+    return null;
+  }],
+  ['GET', /^\/domain\/([^/]+)\/serviceInfos$/, (state, [name]) => {
+    const domainState = found(state.domains[name], `serviceName = ${name}`);
+    return {
+      domain: name,
+      expiration: domainState.expirationDate || '2030-01-01',
+      creation: domainState.creationDate || '2020-01-01',
+      status: domainState.serviceStatus || 'ok',
+      renew: { automatic: true, deleteAtExpiration: false, forced: false, manualPayment: false, period: 12, ...domainState.renew },
+    };
+  }],
+  ['GET', /^\/domain\/([^/]+)\/dsRecord$/, (state, [name]) =>
+    (found(state.domains[name], `serviceName = ${name}`).dsRecords || []).map(({ id }) => id)],
+  ['GET', /^\/domain\/([^/]+)\/dsRecord\/([^/]+)$/, (state, [name, id]) => found(
+    (found(state.domains[name], `serviceName = ${name}`).dsRecords || []).find(key => String(key.id) === id),
+    `id = ${id}`,
+  )],
+  ['GET', /^\/domain\/([^/]+)$/, (state, [name]) => ({
+    domain: name,
+    state: 'ok',
+    ...found(state.domains[name], `serviceName = ${name}`),
+  })],
+];
+
+/**
+ * Handle one API call against the in-memory state.
+ * @param {Object} state - State from createMockState
+ * @param {string} method - HTTP method
+ * @param {string} path - Path without the /1.0 prefix
+ * @param {Object} query - Query parameters
+ * @param {Object} body - Parsed JSON body
+ * @returns {{ status: number, body: any }} - Response
+ */
+export const handleMockRequest = (state, method, path, query = {}, body = {}) => {
+  state.calls.push({ method, path, query, body });
+  try {
+    // Injected failures, to exercise retries and error handling
+    const fault = state.faults.find(item => item.method === method && item.path === path && item.times > 0);
+    if (fault && fault.after > 0) {
+      // Let the first calls through, e.g. to fail in the middle of a batch
+      fault.after -= 1;
+    } else if (fault) {
+      fault.times -= 1;
+      throw new MockApiError(fault.status, fault.message || 'Injected failure', fault.errorClass || 'Server::InternalServerError');
+    }
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === method && path.match(pattern);
+      if (match) {
+        const params = match.slice(1).map(decodeURIComponent);
+        return { status: 200, body: handler(state, params, query, body || {}) };
+      }
+    }
+    throw new MockApiError(404, `Got an invalid (or empty) URL: ${method} ${path}`, 'Client::NotFound');
+  } catch (err) {
+    if (err instanceof MockApiError) {
+      return { status: err.status, body: { class: err.errorClass, message: err.message } };
+    }
+    return { status: 500, body: { class: 'Server::InternalServerError', message: err.message } };
+  }
+};
+
+/**
+ * APIs of the schema index, and parameters of the operations the CLI validates.
+ */
+const mockApis = ['/me', '/email/domain', '/domain'];
+const mockParameters = {
+  'GET /email/domain/{domain}/redirection': [
+    { name: 'from', dataType: 'string', paramType: 'query', required: false },
+    { name: 'to', dataType: 'string', paramType: 'query', required: false },
+  ],
+  'POST /email/domain/{domain}/redirection': [
+    { name: 'from', dataType: 'string', paramType: 'body', required: true },
+    { name: 'to', dataType: 'string', paramType: 'body', required: true },
+    { name: 'localCopy', dataType: 'boolean', paramType: 'body', required: true },
+  ],
+  'POST /domain/zone/{zone}/record': [
+    { name: 'fieldType', dataType: 'zone.NamedResolutionFieldTypeEnum', paramType: 'body', required: true },
+    { name: 'subDomain', dataType: 'string', paramType: 'body', required: false },
+    { name: 'target', dataType: 'string', paramType: 'body', required: true },
+    { name: 'ttl', dataType: 'long', paramType: 'body', required: false },
+  ],
+};
+
+/**
+ * Describe the mock routes like the OVH API schemas do, path parameters being named after
+ * the segment before them.
+ * @param {string} apiPath - "/" for the index of APIs, or an API path such as "/domain"
+ * @returns {Object|undefined} - Schema, undefined for unknown APIs
+ */
+export const describeMockApi = (apiPath) => {
+  if (apiPath === '/') {
+    return { apis: mockApis.map(path => ({ path, schema: `${path}.{format}`, description: `Mock ${path} API` })) };
+  }
+  if (!mockApis.includes(apiPath)) {
+    return undefined;
+  }
+  const apiOf = path => mockApis.filter(api => path === api || path.startsWith(`${api}/`))
+    .sort((a, b) => b.length - a.length)[0];
+  const apis = {};
+  for (const [httpMethod, pattern] of routes) {
+    const segments = pattern.source.replace(/^\^|\$$/g, '').split('\\/');
+    const parameters = [];
+    const path = segments.map((segment, index) => {
+      if (segment !== '([^/]+)') return segment;
+      const name = segments[index - 1];
+      parameters.push({ name, dataType: 'string', paramType: 'path', required: true });
+      return `{${name}}`;
+    }).join('/');
+    if (apiOf(path) === apiPath) {
+      apis[path] = apis[path] || { path, description: '', operations: [] };
+      apis[path].operations.push({
+        httpMethod,
+        description: `${httpMethod} ${path}`,
+        apiStatus: { value: 'PRODUCTION' },
+        parameters: [...parameters, ...(mockParameters[`${httpMethod} ${path}`] || [])],
+      });
+    }
+  }
+  return { apiVersion: '1.0', resourcePath: apiPath, apis: Object.values(apis) };
+};
+
+/**
+ * Start the mock API HTTP server.
+ * Requests without an X-Ovh-Application header are rejected, like on the real API.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 for a random one)
+ * @param {Object} [options.state] - State from createMockState
+ * @returns {Promise<{ server: Object, state: Object, url: string }>} - Server, its state and base URL
+ */
+export const startMockServer = ({ port = 3001, state = createMockState() } = {}) => new Promise((resolve, reject) => {
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body === null ? 'null' : JSON.stringify(body));
+      };
+      if (!url.pathname.startsWith('/1.0/')) {
+        send(404, { class: 'Client::NotFound', message: 'Unknown API version' });
+        return;
+      }
+      // Schemas are public, like on the real API
+      const schemaPath = url.pathname.slice('/1.0'.length).replace(/\.json$/, '');
+      if (req.method === 'GET' && (url.pathname === '/1.0/' || url.pathname.endsWith('.json'))) {
+        const schema = describeMockApi(schemaPath);
+        send(schema ? 200 : 404, schema || { class: 'Client::NotFound', message: `Unknown API ${schemaPath}` });
+        return;
+      }
+      if (!req.headers['x-ovh-application']) {
+        send(403, { class: 'Client::Forbidden', errorCode: 'INVALID_KEY', message: 'Invalid application key' });
+        return;
+      }
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {
+        send(400, { class: 'Client::BadRequest', message: 'Invalid JSON received' });
+        return;
+      }
+      const { status, body: response } = handleMockRequest(
+        state,
+        req.method,
+        url.pathname.slice('/1.0'.length),
+        Object.fromEntries(url.searchParams),
+        body,
+      );
+      send(status, response);
+    });
+  });
+  server.on('error', reject);
+  server.listen(port, '127.0.0.1', () => {
+    resolve({ server, state, url: `http://127.0.0.1:${server.address().port}/1.0` });
+  });
+});
+
+// Standalone usage
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const option = name => {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+  };
+  const seedFile = option('--seed');
+  const seed = seedFile ? JSON.parse(await fs.readFile(seedFile, 'utf-8')) : {};
+  const { url } = await startMockServer({ port: Number(option('--port') || 3001), state: createMockState(seed) });
+  console.log(`Mock OVH API listening on ${url}`);
+  console.log(`Use it with: OVH_ENDPOINT=mock OVH_MOCK_URL=${url} ovh ...`);
+}
@@ -0,0 +1,764 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { createServer } from 'http';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir } from 'os';
+import fs from 'fs/promises';
+
+import { createMockState, startMockServer } from '../mock-server.mjs';
+
+const cliPath = join(dirname(fileURLToPath(import.meta.url)), '..', 'index.mjs');
+const domain = 'example.org';
+
+let mock;
+let workDir;
+let cacheFile;
+
+/**
+ * Run the CLI against the mock API.
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} [options]
+ * @param {string} [options.input] - Data written to stdin
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+const ovh = (args, { input = '', env = {} } = {}) => new Promise((resolve) => {
+  const child = execFile(process.execPath, [cliPath, ...args], {
+    cwd: workDir,
+    timeout: 20000,
+    env: {
+      ...process.env,
+      OVH_ENDPOINT: 'mock',
+      OVH_MOCK_URL: mock.url,
+      OVH_CACHE: cacheFile,
+      OVH_JOURNAL: join(workDir, 'journal.jsonl'),
+      OVH_SCHEMA_CACHE: join(workDir, 'schemas.json'),
+      OVH_ALIASES: join(workDir, 'aliases.json'),
+      APP_KEY: 'test-app-key',
+      APP_SECRET: 'test-app-secret',
+      CONSUMER_KEY: 'test-consumer-key',
+      DOMAIN: domain,
+      DEFAULT_TO: 'me+{{alias}}@example.com',
+      FORCE_COLOR: '0',
+      OVH_RETRY_DELAY: '10',
+      ...env,
+    },
+  }, (error, stdout, stderr) => {
+    resolve({ code: error ? error.code : 0, stdout, stderr });
+  });
+  child.stdin.end(input);
+});
+
+const readCache = async () => JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+
+const cachedRedirections = async () => (await readCache()).mock[domain].redirections;
+
+const mutatingCalls = () => mock.state.calls.filter(({ method }) => method !== 'GET');
+
+beforeEach(async () => {
+  workDir = await fs.mkdtemp(join(tmpdir(), 'ovh-manager-'));
+  cacheFile = join(workDir, 'cache.json');
+  mock = await startMockServer({
+    port: 0,
+    state: createMockState({
+      email: {
+        [domain]: {
+          redirections: [
+            { id: '1', from: `shop@${domain}`, to: 'me+shop@example.com' },
+            { id: '2', from: `news@${domain}`, to: 'me+news@example.com' },
+          ],
+          mailingLists: [
+            { name: 'team', ownerEmail: `admin@${domain}`, subscribers: ['alice@example.com'] },
+          ],
+          accounts: [
+            { accountName: 'contact', description: 'Contact', size: 1073741824, usage: { quota: 268435456, emailCount: 12 } },
+          ],
+        },
+      },
+      domains: {
+        [domain]: { expirationDate: '2030-01-01' },
+        // DNSKEY example from RFC 4034, section 5.4
+        'dskey.example.com': {
+          dsRecords: [{
+            id: 1,
+            flags: 256,
+            algorithm: 5,
+            publicKey: 'AQOeiiR0GOMYkDshWoSKz9XzfwJr1AYtsmx3TGkJaNXVbfi/2pHm822aJ5iI9BMzNXxeYCmZDRD99WYwYqUSdjMmmAphXdvxegXd/M5+X7OrzKBaMbCVdFLUUh6DhweJBjEVv5f2wwjM9XzcnOf+EPbtG9DMBmADjFDc2w/rljwvFw==',
+          }],
+        },
+      },
+      zones: {
+        [domain]: {
+          records: [
+            { id: 1, subDomain: '', fieldType: 'A', target: '192.0.2.1', ttl: 0 },
+            { id: 2, subDomain: 'www', fieldType: 'CNAME', target: `${domain}.`, ttl: 3600 },
+          ],
+        },
+      },
+    }),
+  });
+});
+
+afterEach(async () => {
+  await new Promise(resolve => { mock.server.close(resolve); });
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('redir update fills the cache from the API', async () => {
+  const { code, stdout } = await ovh(['redir', 'update']);
+  assert.equal(code, 0);
+  assert.match(stdout, /2 new redirection\(s\)/);
+  assert.deepEqual((await cachedRedirections()).map(({ from }) => from), [`news@${domain}`, `shop@${domain}`]);
+});
+
+test('redir update drops redirections deleted remotely and adds new ones', async () => {
+  await ovh(['redir', 'update']);
+  const { redirections } = mock.state.email[domain];
+  mock.state.email[domain].redirections = [
+    ...redirections.filter(({ id }) => id !== '2'),
+    { id: '3', from: `blog@${domain}`, to: 'me+blog@example.com' },
+  ];
+
+  const { stdout } = await ovh(['redir', 'update']);
+  assert.match(stdout, /1 new redirection\(s\)/);
+  assert.match(stdout, /1 deleted redirection\(s\)/);
+  assert.deepEqual((await cachedRedirections()).map(({ id }) => id), ['3', '1']);
+});
+
+test('redir list reads the cache', async () => {
+  await ovh(['redir', 'update']);
+  const { stdout } = await ovh(['redir', 'list', '-f', 'json']);
+  assert.deepEqual(JSON.parse(stdout).map(({ id }) => id), ['2', '1']);
+});
+
+test('redir delete removes a redirection by alias', async () => {
+  await ovh(['redir', 'update']);
+  const { code } = await ovh(['redir', 'delete', 'shop']);
+  assert.equal(code, 0);
+  assert.deepEqual(mock.state.email[domain].redirections.map(({ id }) => id), ['2']);
+  assert.deepEqual((await cachedRedirections()).map(({ id }) => id), ['2']);
+});
+
+test('redir delete reports unknown aliases without calling the API', async () => {
+  await ovh(['redir', 'update']);
+  const { stderr } = await ovh(['redir', 'delete', 'unknown']);
+  assert.match(stderr, /Failed to delete "unknown": No redirection found/);
+  assert.deepEqual(mutatingCalls(), []);
+  assert.equal(mock.state.email[domain].redirections.length, 2);
+});
+
+test('redir delete reports API errors for unknown ids', async () => {
+  const { stderr } = await ovh(['redir', 'delete', '999']);
+  assert.match(stderr, /Failed to delete "999"/);
+  assert.equal(mock.state.email[domain].redirections.length, 2);
+});
+
+test('redir create uses DEFAULT_TO when no target is given', async () => {
+  await ovh(['redir', 'create', 'forum']);
+  const created = mock.state.email[domain].redirections.find(({ from }) => from === `forum@${domain}`);
+  assert.equal(created.to, 'me+forum@example.com');
+  assert.ok((await cachedRedirections()).some(({ from }) => from === `forum@${domain}`));
+});
+
+test('redir create rejects invalid targets', async () => {
+  const { stderr } = await ovh(['redir', 'create', 'forum', 'not-an-email']);
+  assert.match(stderr, /Invalid email address/);
+  assert.deepEqual(mutatingCalls(), []);
+});
+
+test('alias metadata is kept across cache rebuilds and dropped with the alias', async () => {
+  await ovh(['redir', 'create', 'forum', '--note', 'Signed up for the bike forum', '-t', 'hobby']);
+  await ovh(['redir', 'update']);
+  const annotated = await ovh(['redir', 'annotate', 'shop', '--note', 'Leaked in 2024', '-t', 'shopping', 'leaked']);
+  assert.equal(annotated.code, 0);
+  await ovh(['redir', 'annotate', 'shop', '--untag', 'shopping']);
+
+  await ovh(['--refresh', 'redir', 'update']);
+  const { stdout } = await ovh(['redir', 'list', '--show-notes']);
+  const [forum] = JSON.parse(stdout).filter(({ from }) => from === `forum@${domain}`);
+  assert.equal(forum.site, 'forum');
+  assert.deepEqual(forum.tags, ['hobby']);
+  assert.ok(forum.createdAt);
+  const leaked = await ovh(['redir', 'list', '--tag', 'leaked', '--field', 'from']);
+  assert.deepEqual(JSON.parse(leaked.stdout), [`shop@${domain}`]);
+  const search = await ovh(['redir', 'list', '-q', 'bike', '--field', 'from']);
+  assert.deepEqual(JSON.parse(search.stdout), [`forum@${domain}`]);
+
+  await ovh(['redir', 'delete', 'shop']);
+  // A sync not listing an alias yet (pending creation task) keeps its metadata
+  mock.state.email[domain].redirections = mock.state.email[domain].redirections.filter(({ from }) => from !== `forum@${domain}`);
+  await ovh(['redir', 'update']);
+  const metadata = JSON.parse(await fs.readFile(join(workDir, 'aliases.json'), 'utf-8')).mock;
+  assert.deepEqual(Object.keys(metadata), [`forum@${domain}`]);
+});
+
+test('temporary aliases are listed with their lifetime and pruned once expired', async () => {
+  const random = await ovh(['redir', 'create', 'forum', '--random', '--pattern', '{{alias}}-{{random:6}}', '--expires', '7d']);
+  const [, alias] = random.stdout.match(/Created (forum-[a-z2-9]{6}@example\.org), expires/);
+  await ovh(['redir', 'create', 'contest', '--expires', '2d']);
+  const listed = JSON.parse((await ovh(['redir', 'list'])).stdout);
+  assert.equal(listed.find(({ from }) => from === alias).expiresIn, '7d');
+  assert.equal(listed.find(({ from }) => from === `shop@${domain}`).expiresIn, null);
+
+  const aliasesFile = join(workDir, 'aliases.json');
+  const expire = async (address) => {
+    const metadata = JSON.parse(await fs.readFile(aliasesFile, 'utf-8'));
+    metadata.mock[address].expiresAt = '2020-01-01T00:00:00.000Z';
+    await fs.writeFile(aliasesFile, JSON.stringify(metadata));
+  };
+  await expire(alias);
+
+  const calls = mutatingCalls().length;
+  const preview = await ovh(['--dry-run', 'redir', 'prune']);
+  assert.match(preview.stdout, new RegExp(`${alias} expired on 2020-01-01T00:00:00.000Z: would be deleted`));
+  assert.equal(mutatingCalls().length, calls);
+
+  await ovh(['redir', 'prune']);
+  assert.equal(mock.state.email[domain].redirections.some(({ from }) => from === alias), false);
+  await expire(`contest@${domain}`);
+  await ovh(['redir', 'prune', '--ban']);
+  assert.equal(mock.state.email[domain].redirections.find(({ from }) => from === `contest@${domain}`).to, `spam@${domain}`);
+
+  const { code, stdout } = await ovh(['redir', 'prune']);
+  assert.equal(code, 0);
+  assert.equal(stdout, '');
+});
+
+test('redir export and import round-trip redirections with their metadata', async () => {
+  await ovh(['redir', 'update']);
+  await ovh(['redir', 'annotate', 'shop', '--note', 'Shop, "main"', '-t', 'shopping', 'leaked']);
+  const exportFile = join(workDir, 'export.csv');
+  await ovh(['redir', 'export', '-o', exportFile]);
+  const csv = await fs.readFile(exportFile, 'utf-8');
+  assert.match(csv, /^from,to,site,tags,note,createdAt,expiresAt\r\n/);
+  assert.match(csv, /shop@example\.org,me\+shop@example\.com,,shopping;leaked,"Shop, ""main""",,/);
+
+  mock.state.email[domain].redirections = mock.state.email[domain].redirections.filter(({ id }) => id !== '1');
+  await ovh(['redir', 'update']);
+  await fs.appendFile(exportFile, 'blog@old.example.net,me+blog@example.com,,,,,\r\nbad,not-an-email,,,,,\r\n');
+  const { code, stdout, stderr } = await ovh(['redir', 'import', exportFile]);
+  assert.equal(code, 1);
+  assert.match(stdout, /2 created, 1 skipped, 1 failed\./);
+  assert.match(stdout, /Line 2: skipped news@example\.org, already exists\./);
+  assert.match(stderr, /Line 5: failed to create "bad": Invalid email address\./);
+  assert.deepEqual(mock.state.email[domain].redirections.map(({ from }) => from).sort(), [`blog@${domain}`, `news@${domain}`, `shop@${domain}`]);
+
+  const json = JSON.parse((await ovh(['redir', 'export', '-f', 'json'])).stdout);
+  const shop = json.find(({ from }) => from === `shop@${domain}`);
+  assert.deepEqual(shop.tags, ['shopping', 'leaked']);
+  assert.equal(shop.note, 'Shop, "main"');
+
+  // Rows without a target need DEFAULT_TO, checked before anything is created
+  const calls = mutatingCalls().length;
+  const bareFile = join(workDir, 'bare.csv');
+  await fs.writeFile(bareFile, 'from,to\r\npromo,me@example.com\r\nlater,\r\n');
+  const untargeted = await ovh(['redir', 'import', bareFile], { env: { DEFAULT_TO: '' } });
+  assert.equal(untargeted.code, 1);
+  assert.match(untargeted.stderr, /Line\(s\) 3: no destination and DEFAULT_TO not set\./);
+  assert.equal(mutatingCalls().length, calls);
+
+  // An alias with two targets is exported as two rows and both are imported
+  mock.state.email[domain].redirections.push({ id: '9', from: `shop@${domain}`, to: 'team@example.com', localCopy: false });
+  await ovh(['redir', 'update']);
+  const multiFile = join(workDir, 'multi.json');
+  await ovh(['redir', 'export', '-f', 'json', '-o', multiFile]);
+  mock.state.email[domain].redirections = mock.state.email[domain].redirections.filter(({ id }) => id !== '9');
+  await ovh(['redir', 'update']);
+  const multi = await ovh(['redir', 'import', multiFile]);
+  assert.match(multi.stdout, /1 created, 3 skipped, 0 failed\./);
+  assert.deepEqual(
+    mock.state.email[domain].redirections.filter(({ from }) => from === `shop@${domain}`).map(({ to }) => to).sort(),
+    ['me+shop@example.com', 'team@example.com'],
+  );
+});
+
+test('redir ban retargets an alias to the spam sink and unban restores it', async () => {
+  await ovh(['redir', 'update']);
+  const banned = await ovh(['redir', 'ban', 'shop', 'spammy']);
+  assert.equal(banned.code, 0);
+  const redirections = mock.state.email[domain].redirections;
+  assert.deepEqual(redirections.filter(({ from }) => from === `shop@${domain}`).map(({ to }) => to), [`spam@${domain}`]);
+  assert.equal(redirections.find(({ from }) => from === `spammy@${domain}`).to, `spam@${domain}`);
+
+  const list = JSON.parse((await ovh(['redir', 'list', '--banned-only'])).stdout);
+  assert.deepEqual(list.map(({ from, bannedFrom }) => [from, bannedFrom]), [
+    [`shop@${domain}`, ['me+shop@example.com']],
+    [`spammy@${domain}`, []],
+  ]);
+  // Redirections to the spam sink are hidden by default and listed with --no-spam
+  const visible = JSON.parse((await ovh(['redir', 'list'])).stdout);
+  assert.deepEqual(visible.map(({ from }) => from), [`news@${domain}`]);
+  const all = JSON.parse((await ovh(['redir', 'list', '--no-spam'])).stdout);
+  assert.deepEqual(all.map(({ from }) => from).sort(), [`news@${domain}`, `shop@${domain}`, `spammy@${domain}`]);
+
+  await ovh(['redir', 'unban', 'shop']);
+  assert.equal(redirections.find(({ from }) => from === `shop@${domain}`).to, 'me+shop@example.com');
+  const unknown = await ovh(['redir', 'unban', 'spammy', 'news']);
+  assert.match(unknown.stderr, /Failed to unban "spammy": no target was recorded/);
+  assert.match(unknown.stderr, /Failed to unban "news": news@example\.org is not banned/);
+});
+
+test('redir plan and apply follow a manifest, bans included', async () => {
+  const manifest = join(workDir, 'aliases.yml');
+  await fs.writeFile(manifest, 'redirections:\n  news: me+news@example.com\n  promo: me+promo@example.com\nban: [shop]\n');
+  const plan = await ovh(['redir', 'plan', manifest]);
+  assert.equal(plan.stdout, [
+    `+ promo@${domain} → me+promo@example.com`,
+    `~ shop@${domain} → me+shop@example.com  ⇒  spam@${domain}`,
+    '',
+    'Plan: 1 to create, 1 to change, 0 to delete.',
+    '',
+  ].join('\n'));
+  assert.deepEqual(mutatingCalls(), []);
+
+  const applied = await ovh(['redir', 'apply', manifest, '--yes']);
+  assert.doesNotMatch(applied.stdout, /remote redirection/);
+  const banned = JSON.parse((await ovh(['redir', 'list', '--banned-only'])).stdout);
+  assert.deepEqual(banned.map(({ from, bannedFrom }) => [from, bannedFrom]), [[`shop@${domain}`, ['me+shop@example.com']]]);
+  await ovh(['redir', 'unban', 'shop']);
+  assert.equal(mock.state.email[domain].redirections.find(({ from }) => from === `shop@${domain}`).to, 'me+shop@example.com');
+});
+
+test('redir ban and unban handle every target of an alias', async () => {
+  mock.state.email[domain].redirections.push(
+    { id: '3', from: `shop@${domain}`, to: 'other@example.com' },
+    { id: '4', from: `news@${domain}`, to: `spam@${domain}` },
+  );
+  await ovh(['redir', 'update']);
+  const targets = address => mock.state.email[domain].redirections
+    .filter(({ from }) => from === address).map(({ to }) => to).sort();
+
+  await ovh(['redir', 'ban', 'shop', 'news']);
+  assert.deepEqual(targets(`shop@${domain}`), [`spam@${domain}`]);
+  assert.deepEqual(targets(`news@${domain}`), [`spam@${domain}`]);
+
+  const { stdout } = await ovh(['redir', 'unban', 'shop', 'news']);
+  assert.match(stdout, /shop@example\.org unbanned, redirected to me\+shop@example\.com, other@example\.com again/);
+  assert.deepEqual(targets(`shop@${domain}`), ['me+shop@example.com', 'other@example.com']);
+  assert.deepEqual(targets(`news@${domain}`), ['me+news@example.com']);
+});
+
+test('SPAM_TO configures the spam sink', async () => {
+  await ovh(['redir', 'update']);
+  await ovh(['redir', 'ban', 'news'], { env: { SPAM_TO: 'junk+{{domain}}@example.net' } });
+  assert.equal(mock.state.email[domain].redirections.find(({ from }) => from === `news@${domain}`).to, `junk+${domain}@example.net`);
+  const list = await ovh(['redir', 'list', '-b', '--field', 'from'], { env: { SPAM_TO: 'junk+{{domain}}@example.net' } });
+  assert.deepEqual(JSON.parse(list.stdout), [`news@${domain}`]);
+});
+
+test('redir modify changes the target of an alias', async () => {
+  await ovh(['redir', 'update']);
+  await ovh(['redir', 'modify', 'news', 'other@example.com']);
+  assert.equal(mock.state.email[domain].redirections.find(({ id }) => id === '2').to, 'other@example.com');
+});
+
+test('--dry-run prints mutating calls without sending them', async () => {
+  await ovh(['redir', 'update']);
+  const { stdout } = await ovh(['--dry-run', 'redir', 'delete', 'shop']);
+  assert.match(stdout, /\[dry-run\] DELETE \/email\/domain\/example.org\/redirection\/1/);
+  assert.match(stdout, /nothing was changed/);
+  assert.deepEqual(mutatingCalls(), []);
+});
+
+test('undo recreates a deleted redirection', async () => {
+  await ovh(['redir', 'update']);
+  await ovh(['redir', 'delete', 'shop']);
+  const history = await ovh(['history', '-f', 'json']);
+  const [entry] = JSON.parse(history.stdout);
+  assert.equal(entry.command, 'redir delete shop');
+
+  const { stdout } = await ovh(['undo', '--yes']);
+  assert.match(stdout, /Entry #1 reverted/);
+  const restored = mock.state.email[domain].redirections.find(({ from }) => from === `shop@${domain}`);
+  assert.equal(restored.to, 'me+shop@example.com');
+  assert.ok((await cachedRedirections()).some(({ from }) => from === `shop@${domain}`));
+  const again = await ovh(['undo', '1', '--yes']);
+  assert.equal(again.code, 1);
+  assert.match(again.stderr, /already been undone/);
+  const missing = await ovh(['history', '42']);
+  assert.equal(missing.code, 4);
+  assert.match(missing.stderr, /No journal entry #42/);
+});
+
+test('undo restores a changed target and a DNS record', async () => {
+  await ovh(['redir', 'update']);
+  await ovh(['redir', 'modify', 'news', 'other@example.com']);
+  await ovh(['domain', 'zone:delete', domain, '--sub-domain', 'www']);
+
+  await ovh(['undo', '--yes']);
+  assert.ok(mock.state.zones[domain].records.some(({ subDomain, target }) => subDomain === 'www' && target === `${domain}.`));
+  await ovh(['undo', '--yes']);
+  assert.equal(mock.state.email[domain].redirections.find(({ id }) => id === '2').to, 'me+news@example.com');
+});
+
+test('domain zone:add validates records and refreshes the zone once', async () => {
+  const invalid = await ovh(['domain', 'zone:add', domain, 'A', 'api', 'not-an-ip']);
+  assert.match(invalid.stderr, /Invalid A target/);
+  assert.deepEqual(mutatingCalls(), []);
+
+  await ovh(['domain', 'zone:add', domain, 'A', 'api', '192.0.2.10', '192.0.2.11', '--ttl', '300']);
+  const api = mock.state.zones[domain].records.filter(({ subDomain }) => subDomain === 'api');
+  assert.deepEqual(api.map(({ target }) => target), ['192.0.2.10', '192.0.2.11']);
+  assert.equal(mutatingCalls().filter(({ path }) => path.endsWith('/refresh')).length, 1);
+});
+
+test('domain zone:add keeps an unquoted TXT value in one record and publishes partial batches', async () => {
+  await ovh(['domain', 'zone:add', domain, 'TXT', '@', 'v=spf1', 'include:mx.example.net', '~all']);
+  const txt = mock.state.zones[domain].records.filter(({ fieldType }) => fieldType === 'TXT');
+  assert.deepEqual(txt.map(({ target }) => target), ['v=spf1 include:mx.example.net ~all']);
+
+  mock.state.calls.length = 0;
+  mock.state.faults.push({ method: 'POST', path: `/domain/zone/${domain}/record`, status: 400, message: 'Invalid record', times: 1, after: 1 });
+  const { code } = await ovh(['domain', 'zone:add', domain, 'A', 'api', '192.0.2.10', '192.0.2.11']);
+  assert.equal(code, 1);
+  assert.equal(mock.state.zones[domain].records.filter(({ subDomain }) => subDomain === 'api').length, 1);
+  assert.equal(mutatingCalls().filter(({ path }) => path.endsWith('/refresh')).length, 1);
+});
+
+test('domain zone:delete requires --all when several records match', async () => {
+  await ovh(['domain', 'zone:add', domain, 'A', 'api', '192.0.2.10', '192.0.2.11']);
+  const calls = mutatingCalls().length;
+  const refused = await ovh(['domain', 'zone:delete', domain, '-t', 'A']);
+  assert.equal(refused.code, 1);
+  assert.match(refused.stderr, /3 records match; refine the selection or use --all/);
+  assert.equal(mutatingCalls().length, calls);
+
+  await ovh(['domain', 'zone:delete', domain, '-s', 'api', '--all']);
+  assert.equal(mock.state.zones[domain].records.filter(({ subDomain }) => subDomain === 'api').length, 0);
+});
+
+test('domain zone:apply converges the zone to a zone file', async () => {
+  const zoneFile = join(workDir, 'zone.db');
+  await fs.writeFile(zoneFile, [
+    `$ORIGIN ${domain}.`,
+    '$TTL 1h',
+    '@       IN A     192.0.2.2',
+    'mail    IN MX    10 mx.example.net.',
+    '',
+  ].join('\n'));
+
+  const { stdout } = await ovh(['domain', 'zone:apply', domain, zoneFile, '--yes']);
+  assert.match(stdout, /Plan: 1 to create, 1 to update, 1 to delete/);
+  assert.deepEqual(
+    mock.state.zones[domain].records.map(({ subDomain, fieldType, target }) => `${subDomain} ${fieldType} ${target}`),
+    [' A 192.0.2.2', 'mail MX 10 mx.example.net.'],
+  );
+  // $TTL is the zone default, not an explicit TTL for every record
+  const plan = await ovh(['domain', 'zone:apply', domain, zoneFile, '--plan']);
+  assert.match(plan.stdout, /is up to date/);
+
+  await fs.appendFile(zoneFile, `www 1h30m IN CNAME ${domain}.\napi IN A 192.0.2.10\n`);
+  mock.state.calls.length = 0;
+  mock.state.faults.push({ method: 'POST', path: `/domain/zone/${domain}/record`, status: 400, message: 'Invalid record', times: 1, after: 1 });
+  const partial = await ovh(['domain', 'zone:apply', domain, zoneFile, '--yes']);
+  assert.equal(partial.code, 1);
+  assert.equal(mock.state.zones[domain].records.find(({ subDomain }) => subDomain === 'www').ttl, 5400);
+  assert.equal(mutatingCalls().filter(({ path }) => path.endsWith('/refresh')).length, 1);
+});
+
+test('mailbox list shows quota and usage', async () => {
+  const { stdout } = await ovh(['mailbox', 'list', '-f', 'json']);
+  const [contact] = JSON.parse(stdout);
+  assert.equal(contact.account, `contact@${domain}`);
+  assert.equal(contact.quota, '1.0 GiB');
+  assert.equal(contact.usage, '25.0%');
+  assert.equal(contact.emails, 12);
+});
+
+test('list commands share the output formats and options', async () => {
+  mock.state.email[domain].accounts.push({ accountName: 'sales', description: 'Sales, "EU"\nteam', size: 1073741824 });
+
+  const piped = await ovh(['mailbox', 'list']);
+  assert.equal(JSON.parse(piped.stdout).length, 2);
+
+  const csv = await ovh(['mailbox', 'list', '-f', 'csv', '--columns', 'account,description,usageDate']);
+  assert.equal(csv.stdout, `account,description,usageDate\r\ncontact@${domain},Contact,\r\nsales@${domain},"Sales, ""EU""\nteam",\n`);
+  const noHeader = await ovh(['mailbox', 'list', '-f', 'csv', '--columns', 'account', '--no-header']);
+  assert.equal(noHeader.stdout, `contact@${domain}\r\nsales@${domain}\n`);
+
+  const ndjson = await ovh(['mailbox', 'list', '-f', 'ndjson', '--columns', 'account,quota']);
+  assert.deepEqual(ndjson.stdout.trim().split('\n').map(line => JSON.parse(line)), [
+    { account: `contact@${domain}`, quota: '1.0 GiB' },
+    { account: `sales@${domain}`, quota: '1.0 GiB' },
+  ]);
+  const yaml = await ovh(['status', '-f', 'yaml']);
+  assert.match(yaml.stdout, /^- nichandle: xx1234-ovh$/m);
+  const field = await ovh(['mailbox', 'list', '--field', 'account']);
+  assert.deepEqual(JSON.parse(field.stdout), [`contact@${domain}`, `sales@${domain}`]);
+  const text = await ovh(['redir', 'list', '-u', '-f', 'table', '--field', 'from']);
+  assert.equal(text.stdout.trim().split('\n').slice(-2).join(' '), `news@${domain} shop@${domain}`);
+
+  const unknown = await ovh(['mailbox', 'list', '--columns', 'account,nope']);
+  assert.equal(unknown.code, 1);
+  assert.match(unknown.stderr, /Unknown column\(s\) nope/);
+  const invalid = await ovh(['mailbox', 'list', '-f', 'xml']);
+  assert.match(invalid.stderr, /Allowed choices are table, json, yaml, ndjson, csv/);
+});
+
+test('mailbox create reads the password from stdin and keeps it out of the journal', async () => {
+  const { stdout } = await ovh(['mailbox', 'create', 'sales', '--size', '2G'], { input: 'correct-horse-9\n' });
+  assert.match(stdout, /Mailbox sales@example.org created/);
+  const sales = mock.state.email[domain].accounts.find(({ accountName }) => accountName === 'sales');
+  assert.equal(sales.password, 'correct-horse-9');
+  assert.equal(sales.size, 2147483648);
+  const journal = await fs.readFile(join(workDir, 'journal.jsonl'), 'utf-8');
+  assert.doesNotMatch(journal, /correct-horse-9/);
+
+  const weak = await ovh(['mailbox', 'create', 'weak'], { input: 'short\n' });
+  assert.match(weak.stderr, /Invalid password/);
+});
+
+test('mailbox delete requires confirmation', async () => {
+  const { stdout } = await ovh(['mailbox', 'delete', 'contact']);
+  assert.match(stdout, /Aborted/);
+  assert.equal(mock.state.email[domain].accounts.length, 1);
+  await ovh(['mailbox', 'delete', 'contact', '--yes']);
+  assert.equal(mock.state.email[domain].accounts.length, 0);
+});
+
+test('responder create reads the message from a file', async () => {
+  const messageFile = join(workDir, 'away.txt');
+  await fs.writeFile(messageFile, 'Back on Monday.');
+  await ovh(['responder', 'create', 'contact', '--message-file', messageFile, '--from', '2030-08-01', '--to', '2030-08-15']);
+  const { stdout } = await ovh(['responder', 'list', '-f', 'json']);
+  const [away] = JSON.parse(stdout);
+  assert.equal(away.account, `contact@${domain}`);
+  assert.equal(away.content, 'Back on Monday.');
+  assert.equal(away.from, '2030-08-01T00:00:00.000Z');
+
+  const invalid = await ovh(['responder', 'update', 'contact', '--from', '2030-09-01', '--to', '2030-08-01']);
+  assert.match(invalid.stderr, /end date must be after the start date/);
+});
+
+test('mlist import subscribes new addresses from a CSV file', async () => {
+  const csvFile = join(workDir, 'subscribers.csv');
+  await fs.writeFile(csvFile, 'name,email\n"Doe, Alice",alice@example.com\nBob,bob@example.com\nBad,not-an-email\n');
+  const { stdout, stderr } = await ovh(['mlist', 'import', 'team', csvFile]);
+  assert.match(stdout, /1 subscribed, 1 already subscribed, 1 failed/);
+  assert.match(stderr, /Line 4/);
+  assert.deepEqual(mock.state.email[domain].mailingLists[0].subscribers, ['alice@example.com', 'bob@example.com']);
+});
+
+test('domain dnssec:enable reports the zone task and waits for it', async () => {
+  // A newer task of another function must not be mistaken for the DNSSEC one
+  mock.state.zones[domain].tasks = [{ id: 99999, function: 'ZoneRefresh', status: 'todo', creationDate: new Date().toISOString() }];
+  const { stdout } = await ovh(['domain', 'dnssec:enable', domain, '--wait']);
+  assert.match(stdout, /Task \d+ \(DnssecEnable\): done/);
+  assert.match(stdout, /Finished: done/);
+  const status = await ovh(['domain', 'dnssec:status', domain, '-f', 'json']);
+  assert.equal(JSON.parse(status.stdout)[0].status, 'enabled');
+});
+
+test('domain dnssec:keys computes DS records', async () => {
+  const sha1 = await ovh(['domain', 'dnssec:keys', 'dskey.example.com', '--all', '--digest', '1', '-f', 'ds']);
+  assert.equal(sha1.stdout.trim(), 'dskey.example.com. IN DS 60485 5 1 2BB183AF5F22588179A53B0A98631FAD1A292118');
+  const ksk = await ovh(['domain', 'dnssec:keys', 'dskey.example.com']);
+  assert.match(ksk.stdout, /No DNSSEC keys found/);
+  const sha256 = await ovh(['domain', 'dnssec:keys', 'dskey.example.com', '--all', '-f', 'json']);
+  const [key] = JSON.parse(sha256.stdout);
+  assert.equal(key.tag, 60485);
+  assert.equal(key.digest.length, 64);
+});
+
+test('status prints the account', async () => {
+  const { stdout } = await ovh(['status']);
+  assert.match(stdout, /xx1234-ovh/);
+});
+
+test('dynhost update changes the record only when the public IP changed', async () => {
+  const ipSource = 'data:text/plain,203.0.113.7';
+  const created = await ovh(['dynhost', 'update', domain, 'home', '--ip-source', ipSource, '--create']);
+  assert.equal(created.code, 0);
+  assert.match(created.stdout, /home\.example\.org: new record → 203\.0\.113\.7/);
+  const unchanged = await ovh(['dynhost', 'update', domain, 'home', '--ip-source', ipSource]);
+  assert.match(unchanged.stdout, /is up to date/);
+  const moved = await ovh(['dynhost', 'update', domain, 'home', '--ip-source', 'data:application/json,{"ip":"203.0.113.8"}']);
+  assert.match(moved.stdout, /203\.0\.113\.7 → 203\.0\.113\.8/);
+  assert.deepEqual(mock.state.zones[domain].dynHostRecords.map(({ subDomain, ip }) => [subDomain, ip]), [['home', '203.0.113.8']]);
+  const missing = await ovh(['dynhost', 'update', domain, 'nas', '--ip-source', ipSource]);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /use --create/);
+});
+
+test('dynhost update gives up on an IP source that does not answer', async () => {
+  const hung = createServer(() => {});
+  await new Promise(resolve => hung.listen(0, '127.0.0.1', resolve));
+  try {
+    const ipSource = `http://127.0.0.1:${hung.address().port}/`;
+    const { code, stderr } = await ovh(['dynhost', 'update', domain, 'home', '--ip-source', ipSource], { env: { DYNHOST_IP_TIMEOUT: '1s' } });
+    assert.equal(code, 1);
+    assert.match(stderr, /did not answer within 1s/);
+  } finally {
+    hung.closeAllConnections();
+    hung.close();
+  }
+});
+
+test('domain expiring exits with code 1 when a domain expires within the window', async () => {
+  const quiet = await ovh(['domain', 'expiring', '--within', '30d', '-f', 'table']);
+  assert.equal(quiet.code, 0);
+  assert.match(quiet.stdout, /No domain expiring within 30d/);
+
+  const soon = new Date(Date.now() + 10 * 86400000).toISOString().slice(0, 10);
+  Object.assign(mock.state.domains[domain], { expirationDate: soon, renew: { automatic: false } });
+  const { code, stdout } = await ovh(['domain', 'expiring', '--within', '30d', '-f', 'json']);
+  assert.equal(code, 1);
+  const [first] = JSON.parse(stdout);
+  assert.equal(first.name, domain);
+  assert.equal(first.renewal, 'manual');
+  assert.ok(first.daysLeft <= 10);
+
+  // Colours belong to the table only, even when forced
+  const env = { FORCE_COLOR: '1' };
+  const csv = await ovh(['domain', 'expiring', '-f', 'csv', '--columns', 'name,daysLeft,renewal'], { env });
+  assert.equal(csv.stdout.split('\r\n')[1], `${domain},${first.daysLeft},manual`);
+  const table = await ovh(['domain', 'expiring', '-f', 'table'], { env });
+  assert.match(table.stdout, /\x1b\[31m\d+\x1b\[39m/);
+});
+
+test('redir doctor reports problems and fixes what it can', async () => {
+  mock.state.email[domain].redirections.push(
+    { id: '10', from: `ping@${domain}`, to: `pong@${domain}` },
+    { id: '11', from: `pong@${domain}`, to: `ping@${domain}` },
+    { id: '12', from: `store@${domain}`, to: `shop@${domain}` },
+    { id: '13', from: `twice@${domain}`, to: 'me@example.com' },
+    { id: '14', from: `twice@${domain}`, to: 'me@example.com' },
+    { id: '15', from: `ghost@${domain}`, to: `nobody@${domain}` },
+    { id: '16', from: `hr@${domain}`, to: `contact@${domain}` },
+    { id: '17', from: `old@${domain}`, to: `spam@${domain}` },
+    { id: '18', from: `old@${domain}`, to: 'me@example.com' },
+  );
+  await ovh(['redir', 'update']);
+
+  const report = await ovh(['redir', 'doctor']);
+  assert.equal(report.code, 1);
+  assert.match(report.stdout, /Loops: 1\n {2}ping@example\.org → pong@example\.org → ping@example\.org/);
+  assert.match(report.stdout, /Chains: 1\n {2}store@example\.org → shop@example\.org → me\+shop@example\.com/);
+  assert.match(report.stdout, /Aliases defined more than once: 1/);
+  assert.match(report.stdout, /Dangling local targets: 1\n {2}ghost@example\.org → nobody@example\.org/);
+  assert.match(report.stdout, /Banned and forwarded: 1/);
+  assert.doesNotMatch(report.stdout, /hr@/);
+
+  const fixed = await ovh(['redir', 'doctor', '--fix', '--yes']);
+  assert.match(fixed.stdout, /Plan: 0 to create, 1 to change, 3 to delete/);
+  const remaining = mock.state.email[domain].redirections.map(({ id, to }) => `${id}:${to}`);
+  assert.deepEqual(remaining, ['1:me+shop@example.com', '2:me+news@example.com', '10:pong@example.org',
+    '11:ping@example.org', '12:me+shop@example.com', '13:me@example.com', '16:contact@example.org', '17:spam@example.org']);
+});
+
+test('redir doctor aborts when the mailboxes cannot be listed', async () => {
+  mock.state.email[domain].redirections.push({ id: '10', from: `hr@${domain}`, to: `contact@${domain}` });
+  mock.state.faults.push({ method: 'GET', path: `/email/domain/${domain}/account`, status: 403, message: 'This call has not been granted', times: 1 });
+  const { code, stdout } = await ovh(['redir', 'doctor', '--fix', '-y']);
+  assert.equal(code, 3);
+  assert.doesNotMatch(stdout, /Dangling/);
+  assert.deepEqual(mutatingCalls(), []);
+});
+
+test('zone records and domains are cached, --refresh syncs and --offline never calls the API', async () => {
+  await ovh(['domain', 'zone:records', domain, '-f', 'json']);
+  assert.equal((await readCache()).mock[domain].records.length, 2);
+
+  mock.state.zones[domain].records.push({ id: 3, subDomain: 'mail', fieldType: 'A', target: '192.0.2.3', ttl: 0 });
+  const cached = await ovh(['domain', 'zone:records', domain, '-f', 'json']);
+  assert.equal(JSON.parse(cached.stdout).length, 2);
+  const refreshed = await ovh(['--refresh', 'domain', 'zone:records', domain, '-f', 'json']);
+  assert.equal(JSON.parse(refreshed.stdout).length, 3);
+
+  const missing = await ovh(['--offline', 'domain', 'list']);
+  assert.match(missing.stderr, /No cached domains yet/);
+  // A domain never synced is not mistaken for one without redirections
+  const uncached = await ovh(['--offline', 'redir', 'list', '-f', 'json']);
+  assert.equal(uncached.code, 1);
+  assert.match(uncached.stderr, /No cached redirections yet/);
+  await ovh(['domain', 'list']);
+  const calls = mock.state.calls.length;
+  const offline = await ovh(['--offline', 'domain', 'list', '-f', 'json']);
+  assert.deepEqual(JSON.parse(offline.stdout).map(({ name }) => name).sort(), ['dskey.example.com', domain]);
+  const records = await ovh(['--offline', 'domain', 'zone:records', domain, '-f', 'json']);
+  assert.equal(JSON.parse(records.stdout).length, 3);
+  assert.equal(mock.state.calls.length, calls);
+});
+
+test('zone records that cannot be read are shown but never cached', async () => {
+  mock.state.faults.push({ method: 'GET', path: `/domain/zone/${domain}/record/2`, status: 404, message: 'Not found', times: 1 });
+  const failed = await ovh(['domain', 'zone:records', domain, '-f', 'json']);
+  assert.deepEqual(JSON.parse(failed.stdout).map(({ fieldType }) => fieldType).sort(), ['A', 'error']);
+  assert.equal((await readCache().catch(() => ({}))).mock?.[domain]?.records, undefined);
+
+  const synced = await ovh(['domain', 'zone:records', domain, '-f', 'json']);
+  assert.deepEqual(JSON.parse(synced.stdout).map(({ fieldType }) => fieldType).sort(), ['A', 'CNAME']);
+  assert.equal((await readCache()).mock[domain].records.length, 2);
+});
+
+test('idempotent calls are retried on server errors, with --verbose tracing each attempt', async () => {
+  mock.state.faults.push({ method: 'GET', path: '/me', status: 503, times: 2 });
+  const { code, stdout, stderr } = await ovh(['--verbose', 'status']);
+  assert.equal(code, 0);
+  assert.match(stdout, /xx1234-ovh/);
+  assert.match(stderr, /GET \/me → 503 \(\d+ ms\)\nRetry 1\/3/);
+  assert.match(stderr, /GET \/me → 200/);
+  assert.doesNotMatch(stderr, /test-consumer-key/);
+});
+
+test('API errors are explained and set the exit code', async () => {
+  mock.state.faults.push({ method: 'GET', path: '/me', status: 403, message: 'This credential does not exist', times: 1 });
+  const expired = await ovh(['status']);
+  assert.equal(expired.code, 2);
+  assert.match(expired.stderr, /consumer key is invalid or expired/);
+  assert.match(expired.stderr, /ovh auth login/);
+
+  mock.state.faults.push({ method: 'POST', path: `/email/domain/${domain}/redirection`, status: 403, message: 'This call has not been granted', times: 1 });
+  const denied = await ovh(['redir', 'create', 'promo', 'me@example.com']);
+  assert.equal(denied.code, 3);
+  assert.match(denied.stderr, /--rule POST:\/email\/domain\/example\.org\/\*/);
+  assert.equal(mutatingCalls().length, 1);
+});
+
+test('network errors are named by their code', async () => {
+  const { code, stderr } = await ovh(['status'], { env: { OVH_MOCK_URL: 'http://127.0.0.1:2' } });
+  assert.equal(code, 5);
+  assert.match(stderr, /Cannot reach the mock API \(ECONNREFUSED\)/);
+});
+
+test('api calls any path, checked against the schema', async () => {
+  const list = await ovh(['api', 'GET', `/email/domain/${domain}/redirection/1`, '-f', 'json']);
+  assert.equal(JSON.parse(list.stdout).from, `shop@${domain}`);
+
+  const invalid = await ovh(['api', 'POST', `/email/domain/${domain}/redirection`, '--data', `{"from":"a@${domain}"}`]);
+  assert.equal(invalid.code, 1);
+  assert.match(invalid.stderr, /Missing required body parameter\(s\): to, localCopy/);
+  assert.equal(mutatingCalls().length, 0);
+
+  const body = join(workDir, 'body.json');
+  await fs.writeFile(body, JSON.stringify({ from: `promo@${domain}`, to: 'me@example.com', localCopy: false }));
+  const created = await ovh(['api', 'POST', `/email/domain/${domain}/redirection`, '--data', `@${body}`]);
+  assert.equal(created.code, 0);
+  assert.equal(mock.state.email[domain].redirections.at(-1).from, `promo@${domain}`);
+
+  const unknown = await ovh(['api', 'GET', '/email/domain/example.org/redirections']);
+  assert.match(unknown.stderr, /run "ovh api list \/email\/domain"/);
+  const operations = await ovh(['api', 'list', '/domain/zone', '-f', 'json']);
+  assert.ok(JSON.parse(operations.stdout).some(({ method, path }) => method === 'POST' && path === '/domain/zone/{zone}/record'));
+});
+
+test('completion suggests commands, option values and cached aliases', async () => {
+  const script = await ovh(['completion', 'bash']);
+  assert.match(script.stdout, /complete -o default -F _ovh_completion ovh/);
+
+  const complete = async (...words) => (await ovh(['__complete', '--', ...words])).stdout.trim().split('\n');
+  assert.deepEqual(await complete('domain', 'zone:rec'), ['zone:records']);
+  assert.deepEqual(await complete('redir', 'list', '--format', ''), ['table', 'json', 'yaml', 'ndjson', 'csv']);
+  assert.deepEqual(await complete('redir', 'list', '--sort', ''), ['from', 'to', 'id']);
+  await ovh(['redir', 'update']);
+  assert.deepEqual(await complete('redir', 'delete', 's'), ['shop']);
+  assert.ok((await complete('domain', 'zone:records', '')).includes(domain));
+});
+
+test('redir tui requires an interactive terminal', async () => {
+  const { code, stderr } = await ovh(['redir', 'tui']);
+  assert.equal(code, 1);
+  assert.match(stderr, /needs an interactive terminal/);
+});